@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+/**
+ * token-total command-line tool
+ *
+ * Usage:
+ *   token-total count   [files|globs...] [options]
+ *   token-total encode  [files|globs...] [options]
+ *   token-total decode  [files|token ids...] [options]
+ *   token-total inspect [files|globs...] [options]
+ *
+ * Reads stdin when no files are given (or for "-"). Globs are expanded here
+ * as well as by the shell, so quoted patterns work in package.json scripts
+ * and pre-commit hooks on every platform.
+ *
+ * Exit codes: 0 success, 1 --max-tokens exceeded, 2 usage or input error.
+ */
+
+import { createReadStream } from 'node:fs';
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  getEncoding,
+  encodingForModel,
+  listEncodingNames,
+  VERSION,
+} from '../src/index.js';
+
+const COMMANDS = ['count', 'encode', 'decode', 'inspect'];
+const FORMATS = ['text', 'json', 'table'];
+const DEFAULT_MODEL = 'gpt-4o';
+
+const USAGE = `Usage: token-total <command> [files|globs...] [options]
+
+Commands:
+  count     Count tokens per input (with a total for several inputs)
+  encode    Print token ids
+  decode    Turn token ids back into text (ids as arguments, files or stdin)
+  inspect   Print each token with its text and character span
+
+Inputs are files, globs ("prompts/**/*.md") or stdin when none are given.
+
+Options:
+  -m, --model <name>       Model whose encoding to use (default: ${DEFAULT_MODEL})
+  -e, --encoding <name>    Encoding to use instead (${listEncodingNames().join(', ')})
+  -f, --format <format>    Output format: text, json or table (default: text)
+      --max-tokens <n>     Exit with code 1 if any input has more than n tokens
+      --allow-special      Encode special token text (e.g. <|endoftext|>) as special
+                           tokens instead of plain text
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Examples:
+  token-total count "prompts/**/*.txt" --format table
+  token-total count system-prompt.md --model gpt-4.1 --max-tokens 2000
+  echo "Hello, world!" | token-total encode
+  token-total decode 9906 11 1917 0 --encoding cl100k_base
+`;
+
+/**
+ * Error for bad arguments or unreadable input (exit code 2)
+ */
+class UsageError extends Error {}
+
+// ==================== Input ====================
+
+/**
+ * Check if an argument is a glob pattern
+ * @param {string} arg - Command-line argument
+ * @returns {boolean}
+ */
+function isGlob(arg) {
+  return /[*?[{]/.test(arg);
+}
+
+/**
+ * Convert a glob to a regex over '/'-separated paths
+ * Supports *, **, ?, [...] and {a,b}.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      source += '(?:';
+      inGroup = true;
+    } else if (char === '}' && inGroup) {
+      source += ')';
+      inGroup = false;
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files under a directory, skipping dot-directories and node_modules
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>} File paths
+ */
+async function walk(dir) {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      files.push(...await walk(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand a glob into matching files (sorted)
+ * @param {string} pattern - Glob pattern
+ * @returns {Promise<string[]>} File paths
+ */
+async function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(isGlob);
+  const baseDir = segments.slice(0, firstGlob).join('/') || '.';
+  const regex = globToRegExp(normalized.replace(/^\.\//, ''));
+
+  let files;
+  try {
+    files = await walk(baseDir);
+  } catch (e) {
+    return [];
+  }
+
+  return files
+    .map(file => file.split(path.sep).join('/'))
+    .filter(file => regex.test(file))
+    .sort();
+}
+
+/**
+ * Resolve command-line arguments to input files ('-' is stdin)
+ * @param {string[]} args - Positional arguments
+ * @returns {Promise<string[]>} Input paths
+ */
+async function resolveInputs(args) {
+  if (args.length === 0) {
+    if (process.stdin.isTTY) {
+      throw new UsageError('No input files given and nothing piped to stdin');
+    }
+    return ['-'];
+  }
+
+  const inputs = [];
+  for (const arg of args) {
+    if (arg === '-') {
+      inputs.push(arg);
+      continue;
+    }
+
+    const info = await stat(arg).catch(() => null);
+    if (info?.isFile()) {
+      inputs.push(arg);
+    } else if (info?.isDirectory()) {
+      throw new UsageError(`${arg} is a directory (use a glob such as "${arg}/**/*.md")`);
+    } else if (isGlob(arg)) {
+      const matches = await expandGlob(arg);
+      if (matches.length === 0) {
+        throw new UsageError(`No files match ${arg}`);
+      }
+      inputs.push(...matches);
+    } else {
+      throw new UsageError(`No such file: ${arg}`);
+    }
+  }
+  return inputs;
+}
+
+/**
+ * Read a whole input as UTF-8 text
+ * @param {string} input - File path or '-'
+ * @returns {Promise<string>}
+ */
+async function readText(input) {
+  if (input === '-') {
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) text += chunk;
+    return text;
+  }
+  return readFile(input, 'utf8');
+}
+
+/**
+ * Iterate over an input as UTF-8 text chunks
+ * @param {string} input - File path or '-'
+ * @returns {AsyncIterable<string>}
+ */
+function readChunks(input) {
+  const stream = input === '-' ? process.stdin : createReadStream(input);
+  stream.setEncoding('utf8');
+  return stream;
+}
+
+/**
+ * Parse token ids separated by whitespace or commas (a JSON array also works)
+ * @param {string} text - Token id list
+ * @param {string} label - Input name, for the error message
+ * @returns {number[]}
+ */
+function parseTokenIds(text, label) {
+  const parts = text.replace(/[[\]]/g, ' ').split(/[\s,]+/).filter(Boolean);
+  return parts.map(part => {
+    if (!/^\d+$/.test(part)) {
+      throw new UsageError(`${label}: "${part}" is not a token id`);
+    }
+    return Number(part);
+  });
+}
+
+// ==================== Commands ====================
+
+/**
+ * Count tokens and characters of one input, streaming it through the encoder
+ * @returns {Promise<{tokens: number, characters: number}>}
+ */
+async function countInput(encoding, input, encodeOptions) {
+  const encoder = encoding.createEncoder(encodeOptions);
+  let tokens = 0;
+  let characters = 0;
+
+  for await (const chunk of readChunks(input)) {
+    tokens += encoder.push(chunk).length;
+    characters += chunk.length;
+  }
+  tokens += encoder.end().length;
+
+  return { tokens, characters };
+}
+
+/**
+ * Encode one input, streaming it through the encoder
+ * @returns {Promise<number[]>}
+ */
+async function encodeInput(encoding, input, encodeOptions) {
+  const encoder = encoding.createEncoder(encodeOptions);
+  const tokens = [];
+
+  // Appended one at a time: spreading a huge final piece into push() overflows the stack
+  const append = (chunkTokens) => {
+    for (const token of chunkTokens) tokens.push(token);
+  };
+  for await (const chunk of readChunks(input)) {
+    append(encoder.push(chunk));
+  }
+  append(encoder.end());
+
+  return tokens;
+}
+
+/**
+ * Describe a token's text for display
+ * Tokens that are not whole UTF-8 characters are shown as hex bytes.
+ * @returns {string}
+ */
+function tokenLabel(encoding, token) {
+  const bytes = encoding.decodeSingleTokenBytes(token);
+  try {
+    return JSON.stringify(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+  } catch (e) {
+    return `<${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ')}>`;
+  }
+}
+
+/**
+ * Run a command over all inputs
+ * @returns {Promise<Object[]>} One result per input
+ */
+async function runCommand(command, encoding, inputs, encodeOptions) {
+  const results = [];
+
+  for (const input of inputs) {
+    const file = input === '-' ? '<stdin>' : input;
+
+    if (command === 'count') {
+      results.push({ file, ...await countInput(encoding, input, encodeOptions) });
+    } else if (command === 'encode') {
+      const tokens = await encodeInput(encoding, input, encodeOptions);
+      results.push({ file, tokens: tokens.length, ids: tokens });
+    } else if (command === 'inspect') {
+      const text = await readText(input);
+      const spans = encoding.encodeWithOffsets(text, encodeOptions).map(span => ({
+        ...span,
+        text: tokenLabel(encoding, span.token),
+      }));
+      results.push({ file, tokens: spans.length, characters: text.length, spans });
+    } else {
+      const ids = parseTokenIds(await readText(input), file);
+      results.push({ file, tokens: ids.length, text: encoding.decode(ids) });
+    }
+  }
+
+  return results;
+}
+
+// ==================== Output ====================
+
+/**
+ * Render rows as an aligned table; numeric columns are right-aligned
+ * @param {string[]} header - Column names
+ * @param {Array<Array<string|number>>} rows - Table rows
+ * @returns {string}
+ */
+function formatTable(header, rows) {
+  const cells = [header, ...rows].map(row => row.map(String));
+  const widths = header.map((_, col) => Math.max(...cells.map(row => row[col].length)));
+  const numeric = header.map((_, col) => rows.length > 0 && rows.every(row => typeof row[col] === 'number'));
+
+  const line = row => row
+    .map((cell, col) => numeric[col] ? cell.padStart(widths[col]) : cell.padEnd(widths[col]))
+    .join('  ')
+    .trimEnd();
+  const rule = widths.map(width => '-'.repeat(width)).join('  ');
+
+  return [line(cells[0]), rule, ...cells.slice(1).map(line)].join('\n') + '\n';
+}
+
+/**
+ * Format command results
+ * @returns {string}
+ */
+function formatResults(command, format, encodingName, results) {
+  const totalTokens = results.reduce((sum, r) => sum + r.tokens, 0);
+  const several = results.length > 1;
+
+  if (format === 'json') {
+    const files = results.map(({ file, ...rest }) => {
+      if (command === 'encode') return { file, tokens: rest.ids };
+      if (command === 'decode') return { file, text: rest.text };
+      return { file, ...rest };
+    });
+    return JSON.stringify({ encoding: encodingName, files, totalTokens }, null, 2) + '\n';
+  }
+
+  if (command === 'count') {
+    if (format === 'table') {
+      const rows = results.map(r => [r.file, r.tokens, r.characters]);
+      if (several) {
+        rows.push(['Total', totalTokens, results.reduce((sum, r) => sum + r.characters, 0)]);
+      }
+      return formatTable(['File', 'Tokens', 'Characters'], rows);
+    }
+    if (!several) return `${totalTokens}\n`;
+    return results.map(r => `${r.tokens}\t${r.file}\n`).join('') + `${totalTokens}\ttotal\n`;
+  }
+
+  if (command === 'encode') {
+    return results.map(r => (several ? `${r.file}: ` : '') + r.ids.join(' ') + '\n').join('');
+  }
+
+  if (command === 'decode') {
+    return results.map(r => r.text).join(several ? '\n' : '');
+  }
+
+  // inspect
+  return results.map(r => {
+    const heading = several ? `==> ${r.file} <==\n` : '';
+    if (format === 'table') {
+      const rows = r.spans.map((span, i) => [i, span.token, span.start, span.end, span.text]);
+      return heading + formatTable(['#', 'Token', 'Start', 'End', 'Text'], rows) +
+        `${r.tokens} tokens, ${r.characters} characters\n`;
+    }
+    return heading + r.spans.map(span => `${span.token}\t${span.start}-${span.end}\t${span.text}\n`).join('');
+  }).join(several ? '\n' : '');
+}
+
+// ==================== Main ====================
+
+/**
+ * Parse options and run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        model: { type: 'string', short: 'm' },
+        encoding: { type: 'string', short: 'e' },
+        format: { type: 'string', short: 'f', default: 'text' },
+        'max-tokens': { type: 'string' },
+        'allow-special': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', short: 'v', default: false },
+      },
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (values.version) {
+    process.stdout.write(`${VERSION}\n`);
+    return 0;
+  }
+
+  const [command, ...args] = positionals;
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format: ${values.format}. Expected ${FORMATS.join(', ')}`);
+  }
+  if (values.format === 'table' && (command === 'encode' || command === 'decode')) {
+    throw new UsageError(`--format table is only supported by count and inspect`);
+  }
+  if (values.model && values.encoding) {
+    throw new UsageError('Use either --model or --encoding, not both');
+  }
+
+  let maxTokens = null;
+  if (values['max-tokens'] !== undefined) {
+    if (command === 'decode') {
+      throw new UsageError('--max-tokens does not apply to decode');
+    }
+    maxTokens = Number(values['max-tokens']);
+    if (!Number.isInteger(maxTokens) || maxTokens < 0) {
+      throw new UsageError(`--max-tokens must be a non-negative integer, got ${values['max-tokens']}`);
+    }
+  }
+
+  const encoding = values.encoding
+    ? await getEncoding(values.encoding)
+    : await encodingForModel(values.model || DEFAULT_MODEL);
+
+  // Special token text in files is plain text unless --allow-special is given
+  const encodeOptions = values['allow-special']
+    ? { allowedSpecial: 'all' }
+    : { disallowedSpecial: new Set() };
+
+  let results;
+  if (command === 'decode' && args.length > 0 && args.every(arg => /^\d+$/.test(arg))) {
+    const ids = args.map(Number);
+    results = [{ file: '<args>', tokens: ids.length, text: encoding.decode(ids) }];
+  } else {
+    results = await runCommand(command, encoding, await resolveInputs(args), encodeOptions);
+  }
+
+  process.stdout.write(formatResults(command, values.format, encoding.name, results));
+
+  if (maxTokens !== null) {
+    const over = results.filter(r => r.tokens > maxTokens);
+    for (const r of over) {
+      process.stderr.write(`token-total: ${r.file} has ${r.tokens} tokens (max ${maxTokens})\n`);
+    }
+    if (over.length > 0) return 1;
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`token-total: ${e.message}\n`);
+  if (e instanceof UsageError) {
+    process.stderr.write(`Run "token-total --help" for usage.\n`);
+  }
+  process.exitCode = 2;
+}
@@ -0,0 +1,48 @@
+/**
+ * Convert .tiktoken vocabularies to the compact .tkbin binary format
+ *
+ * Usage:
+ *   node scripts/convert-vocab.js <file.tiktoken> [more.tiktoken ...]
+ *   npm run convert-vocab -- public/encodings/*.tiktoken
+ *
+ * Each output is written next to its input with a .tkbin extension and
+ * embeds the SHA-256 of the input, so loadTiktokenBpe() can verify it
+ * against the same hash as the original file.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { sha256 } from '../src/loaders/tiktoken-loader.js';
+import { convertTiktokenToBinary, decodeBinaryVocabulary, serializeTiktokenBytes } from '../src/loaders/vocab-format.js';
+
+const inputs = process.argv.slice(2);
+
+if (inputs.length === 0) {
+  console.error('Usage: node scripts/convert-vocab.js <file.tiktoken> [more.tiktoken ...]');
+  process.exit(1);
+}
+
+for (const input of inputs) {
+  const output = input.replace(/\.tiktoken$/, '') + '.tkbin';
+
+  const text = await readFile(input, 'utf8');
+  const hash = await sha256(text);
+  const binary = convertTiktokenToBinary(text, hash);
+
+  // Round-trip check: the binary must rebuild the exact original file
+  const { ranks } = decodeBinaryVocabulary(binary);
+  if (await sha256(serializeTiktokenBytes(ranks)) !== hash) {
+    console.error(`${input}: not in canonical .tiktoken form (sorted, one "<base64> <rank>\\n" per line); ` +
+      `the binary would not verify against the original hash`);
+    process.exitCode = 1;
+    continue;
+  }
+
+  await writeFile(output, binary);
+
+  const originalSize = Buffer.byteLength(text, 'utf8');
+  console.log(
+    `${input} → ${output}: ${ranks.size} tokens, ` +
+    `${(originalSize / 1024).toFixed(0)} KB → ${(binary.length / 1024).toFixed(0)} KB ` +
+    `(sha256 ${hash.slice(0, 12)}…)`
+  );
+}
@@ -0,0 +1,66 @@
+/**
+ * Train a BPE vocabulary from local files
+ *
+ * Usage:
+ *   node scripts/train-bpe.js --vocab-size <n> --output <file.tiktoken> [--encoding <name>] <corpus files...>
+ *   npm run train-bpe -- --vocab-size 8192 --output public/encodings/dsl_base.tiktoken corpus/*.dsl
+ *
+ * Files are streamed, so the corpus does not have to fit in memory as one
+ * string. The split pattern comes from --encoding (default: cl100k_base); the
+ * output loads with loadTiktokenBpe() or registerEncoding({ url, patStr }).
+ */
+
+import { createReadStream } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { sha256 } from '../src/loaders/tiktoken-loader.js';
+import { trainBpe } from '../src/training/bpe-trainer.js';
+
+const { values, positionals: inputs } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'vocab-size': { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    encoding: { type: 'string', default: 'cl100k_base' },
+  },
+});
+
+const vocabSize = Number(values['vocab-size']);
+if (inputs.length === 0 || !values.output || !Number.isInteger(vocabSize)) {
+  console.error('Usage: node scripts/train-bpe.js --vocab-size <n> --output <file.tiktoken> [--encoding <name>] <corpus files...>');
+  process.exit(1);
+}
+
+/**
+ * Stream every input file in turn, with a newline between files so the last
+ * word of one file is not joined to the first word of the next
+ */
+async function* readCorpus() {
+  for (let i = 0; i < inputs.length; i++) {
+    if (i > 0) yield '\n';
+    yield* createReadStream(inputs[i], { encoding: 'utf8' });
+  }
+}
+
+let lastPercent = -1;
+const result = await trainBpe(readCorpus(), {
+  vocabSize,
+  encoding: values.encoding,
+  onProgress({ phase, completed, total }) {
+    if (phase === 'count') return;
+    const percent = Math.floor((completed / total) * 100);
+    if (percent !== lastPercent && percent % 10 === 0) {
+      lastPercent = percent;
+      console.error(`Merging: ${completed}/${total} (${percent}%)`);
+    }
+  },
+});
+
+await writeFile(values.output, result.tiktoken);
+
+const hash = await sha256(result.tiktoken);
+console.log(
+  `${values.output}: ${result.vocabSize} tokens` +
+  (result.vocabSize < vocabSize ? ` (stopped early: no pair occurs twice)` : ``) +
+  `, split pattern of ${values.encoding} (sha256 ${hash})`
+);
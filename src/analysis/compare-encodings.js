@@ -0,0 +1,103 @@
+/**
+ * Encoding Comparison
+ * Token counts and boundary differences for one text under several encodings
+ *
+ * Boundaries are compared as UTF-8 byte offsets, since that is the only
+ * position every encoding agrees on (a token can end in the middle of a
+ * character). The text is cut at every offset where all encodings have a
+ * token boundary; each resulting segment either agrees (every encoding covers
+ * it with exactly one token) or differs (at least one encoding splits it
+ * further).
+ */
+
+import { getEncoding } from '../encodings/registry.js';
+
+const LOSSY_DECODER = new TextDecoder('utf-8', { ignoreBOM: true });
+
+/**
+ * Compare how several encodings tokenize the same text
+ *
+ * @param {string} text - Text to compare
+ * @param {Array<string|Encoding>} names - Encoding names (or loaded encodings), at least one
+ * @param {Object} options - Same special token options as encode()
+ * @param {Set<string>|'all'} options.allowedSpecial - Set of allowed special tokens or 'all'
+ * @param {Set<string>|'all'} options.disallowedSpecial - Set of disallowed special tokens or 'all'
+ * @returns {Promise<{characters: number, bytes: number,
+ *   encodings: Array<{name: string, tokens: number[], tokenCount: number, charsPerToken: number,
+ *     bytesPerToken: number, boundaries: number[]}>,
+ *   segments: Array<{start: number, end: number, text: string, agree: boolean, tokens: number[][]}>,
+ *   sharedBoundaries: number, agreement: number}>}
+ *   `encodings[i].boundaries` are the byte offsets where each token ends; `segments[j].tokens[i]`
+ *   are encoding i's tokens inside segment j; `agreement` is the share of segments that agree
+ *   (1 for empty text)
+ * @throws {Error} If no encodings are given or the text contains a disallowed special token
+ *
+ * @example
+ * const report = await compareEncodings(prompt, ['cl100k_base', 'o200k_base']);
+ * report.encodings.map(e => `${e.name}: ${e.tokenCount}`);
+ * report.segments.filter(s => !s.agree);  // where the two split the text differently
+ */
+export async function compareEncodings(text, names, options = {}) {
+  if (!Array.isArray(names) || names.length === 0) {
+    throw new Error('compareEncodings needs an array of at least one encoding name');
+  }
+
+  const encodings = await Promise.all(
+    names.map(name => (typeof name === 'string' ? getEncoding(name) : name))
+  );
+  const bytes = new TextEncoder().encode(text);
+
+  const results = encodings.map(encoding => {
+    const tokens = encoding.encode(text, options);
+    const offsets = encoding._tokenByteOffsets(tokens);
+    return {
+      name: encoding.name,
+      tokens,
+      tokenCount: tokens.length,
+      charsPerToken: tokens.length > 0 ? text.length / tokens.length : 0,
+      bytesPerToken: tokens.length > 0 ? bytes.length / tokens.length : 0,
+      boundaries: offsets.slice(1),
+    };
+  });
+
+  // Offsets where every encoding has a boundary
+  const shared = results
+    .map(result => new Set(result.boundaries))
+    .reduce((common, set) => new Set([...common].filter(offset => set.has(offset))));
+  const cuts = [...shared].sort((a, b) => a - b);
+
+  // Walk each encoding's tokens alongside the shared cuts
+  const positions = results.map(() => 0);
+  const segments = [];
+  let start = 0;
+  for (const end of cuts) {
+    const tokens = results.map((result, i) => {
+      const inSegment = [];
+      while (positions[i] < result.tokens.length && result.boundaries[positions[i]] <= end) {
+        inSegment.push(result.tokens[positions[i]]);
+        positions[i]++;
+      }
+      return inSegment;
+    });
+
+    segments.push({
+      start,
+      end,
+      text: LOSSY_DECODER.decode(bytes.subarray(start, end)),
+      agree: tokens.every(inSegment => inSegment.length === 1),
+      tokens,
+    });
+    start = end;
+  }
+
+  const agreeing = segments.filter(segment => segment.agree).length;
+
+  return {
+    characters: text.length,
+    bytes: bytes.length,
+    encodings: results,
+    segments,
+    sharedBoundaries: cuts.length,
+    agreement: segments.length > 0 ? agreeing / segments.length : 1,
+  };
+}
@@ -0,0 +1,315 @@
+/**
+ * Corpus Statistics
+ * How efficiently an encoding handles a body of text, broken down by script
+ *
+ * The corpus is split with the encoding's own pattern and every piece is
+ * encoded exactly as encodeOrdinary() would (special token text counts as
+ * ordinary text). Each piece is attributed to the Unicode script most of its
+ * letters belong to; pieces without letters (spaces, digits, punctuation)
+ * count as 'Common'.
+ *
+ * Single-byte tokens are the vocabulary's fallback: text it has no longer
+ * token for is encoded byte by byte. For non-ASCII text this means parts of a
+ * character, so `singleByte.nonAsciiShare` is the clearest sign that a script
+ * is poorly covered.
+ */
+
+import { BytePairEncoder } from '../core/bpe.js';
+import { getEncoding } from '../encodings/registry.js';
+
+const TEXT_ENCODER = new TextEncoder();
+const LOSSY_DECODER = new TextDecoder('utf-8', { ignoreBOM: true });
+
+/**
+ * Scripts reported by name; letters of any other script count as 'Other'
+ */
+export const CORPUS_SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Arabic', 'Hebrew',
+  'Devanagari', 'Bengali', 'Tamil', 'Telugu', 'Thai', 'Han', 'Hiragana',
+  'Katakana', 'Hangul',
+];
+
+// One capture group per script, then any other letter
+const SCRIPT_PATTERN = new RegExp(
+  CORPUS_SCRIPTS.map(script => `(\\p{sc=${script}})`).join('|') + '|(\\p{L})',
+  'gu'
+);
+
+const CSV_TABLES = {
+  scripts: ['script', 'pieces', 'characters', 'bytes', 'tokens', 'charsPerToken', 'bytesPerToken',
+    'singleByteTokens', 'singleByteShare'],
+  tokens: ['token', 'text', 'count', 'share'],
+  lengths: ['bytes', 'count', 'share'],
+  pieces: ['text', 'bytes', 'tokens', 'count'],
+};
+
+/**
+ * Script of a pre-tokenizer piece: the one most of its letters belong to
+ * @param {string} piece - Piece text
+ * @returns {string} Script name, 'Other' or 'Common'
+ */
+function pieceScript(piece) {
+  let counts = null;
+  for (const match of piece.matchAll(SCRIPT_PATTERN)) {
+    let group = 1;
+    while (match[group] === undefined) group++;
+    counts = counts || new Array(CORPUS_SCRIPTS.length + 1).fill(0);
+    counts[group - 1]++;
+  }
+  if (!counts) return 'Common';
+
+  let best = 0;
+  for (let i = 1; i < counts.length; i++) {
+    if (counts[i] > counts[best]) best = i;
+  }
+  return best < CORPUS_SCRIPTS.length ? CORPUS_SCRIPTS[best] : 'Other';
+}
+
+/**
+ * Iterate over a corpus as documents
+ * @param {string|Iterable<string>|AsyncIterable<string>} corpus
+ * @returns {AsyncGenerator<string>}
+ */
+async function* corpusDocuments(corpus) {
+  if (typeof corpus === 'string') {
+    yield corpus;
+    return;
+  }
+  if (corpus && (typeof corpus[Symbol.asyncIterator] === 'function' || typeof corpus[Symbol.iterator] === 'function')) {
+    for await (const document of corpus) {
+      if (typeof document !== 'string') {
+        throw new Error(`Corpus documents must be strings, got ${typeof document}`);
+      }
+      yield document;
+    }
+    return;
+  }
+  throw new Error('Corpus must be a string, an iterable of strings or an async iterable of strings');
+}
+
+/**
+ * Ratio that is 0 instead of NaN for an empty denominator
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Order merged pieces longest first, then by text
+ */
+function compareMergedPieces(a, b) {
+  return b.bytes - a.bytes || (a.text < b.text ? -1 : a.text > b.text ? 1 : 0);
+}
+
+/**
+ * Insert a merged piece into the sorted list of the `limit` longest, if it belongs there
+ * A piece's place in the order never changes, so one that drops out can never
+ * come back: the counts of the pieces still listed are exact.
+ * @param {Object[]} longest - Pieces kept so far, longest first
+ * @param {Map<string, Object>} byText - The same pieces by text
+ * @param {Object} piece - New piece ({ text, bytes, tokens, count })
+ * @param {number} limit - Number of pieces to keep
+ */
+function keepIfLongest(longest, byText, piece, limit) {
+  if (longest.length >= limit && (limit <= 0 || compareMergedPieces(piece, longest[limit - 1]) > 0)) {
+    return;
+  }
+
+  let i = longest.length;
+  while (i > 0 && compareMergedPieces(piece, longest[i - 1]) < 0) i--;
+  longest.splice(i, 0, piece);
+  byText.set(piece.text, piece);
+
+  if (longest.length > limit) {
+    byText.delete(longest.pop().text);
+  }
+}
+
+/**
+ * Run an encoding over a corpus and collect token statistics
+ *
+ * @param {string|Encoding} encoding - Encoding name or loaded encoding
+ * @param {string|Iterable<string>|AsyncIterable<string>} corpus - Text, or documents
+ *   (each document is split on its own)
+ * @param {Object} options - Report options
+ * @param {number} options.topTokens - Number of most frequent tokens to list (default: 100)
+ * @param {number} options.longestPieces - Number of longest merged pieces to list (default: 10)
+ * @returns {Promise<Object>} Report with totals (`documents`, `characters`, `bytes`, `tokens`,
+ *   `pieces`, `charsPerToken`, `bytesPerToken`, `uniqueTokens`, `vocabularyCoverage`),
+ *   `singleByte` ({ tokens, share, nonAscii, nonAsciiShare }), `scripts` (per-script rows,
+ *   largest first), `tokenFrequencies` ({ token, text, count, share }, most frequent first),
+ *   `tokenLengths` ({ bytes, count, share } per token byte length) and `mergedPieces`
+ *   ({ count, share, longest: [{ text, bytes, tokens, count }] }) for pieces that were not a
+ *   single vocabulary entry and went through byte pair merging
+ * @throws {Error} If the corpus is not text
+ *
+ * @example
+ * const stats = await analyzeCorpus('o200k_base', documents);
+ * stats.scripts.map(s => `${s.script}: ${s.charsPerToken.toFixed(2)} chars/token`);
+ * stats.singleByte.nonAsciiShare;  // share of bytes encoded as lone non-ASCII bytes
+ * exportCorpusStats(stats, { format: 'csv', table: 'scripts' });
+ */
+export async function analyzeCorpus(encoding, corpus, options = {}) {
+  const { topTokens = 100, longestPieces = 10 } = options;
+
+  if (typeof encoding === 'string') {
+    encoding = await getEncoding(encoding);
+  }
+  const ranks = encoding._mergeableRanks;
+
+  const totals = { documents: 0, characters: 0, bytes: 0, tokens: 0, pieces: 0 };
+  const singleByte = { tokens: 0, nonAscii: 0 };
+  const scripts = new Map();
+  const tokenCounts = new Map();
+  const lengthCounts = [];
+  // Only the longest merged pieces are kept, so memory does not grow with the corpus
+  const longest = [];         // { text, bytes, tokens, count }, longest first
+  const longestByText = new Map();
+  let mergedCount = 0;
+
+  for await (const document of corpusDocuments(corpus)) {
+    totals.documents++;
+    totals.characters += document.length;
+
+    for (const [piece] of document.matchAll(encoding._pattern)) {
+      const bytes = TEXT_ENCODER.encode(piece);
+      const direct = ranks.get(bytes);
+      const tokens = direct !== undefined ? [direct] : BytePairEncoder.encode(ranks, bytes);
+
+      if (direct === undefined) {
+        mergedCount++;
+        const seen = longestByText.get(piece);
+        if (seen) {
+          seen.count++;
+        } else {
+          const entry = { text: piece, bytes: bytes.length, tokens: tokens.length, count: 1 };
+          keepIfLongest(longest, longestByText, entry, longestPieces);
+        }
+      }
+
+      const script = pieceScript(piece);
+      let row = scripts.get(script);
+      if (!row) {
+        row = { script, pieces: 0, characters: 0, bytes: 0, tokens: 0, singleByteTokens: 0 };
+        scripts.set(script, row);
+      }
+      row.pieces++;
+      row.characters += piece.length;
+      row.bytes += bytes.length;
+      row.tokens += tokens.length;
+
+      for (const token of tokens) {
+        tokenCounts.set(token, (tokenCounts.get(token) || 0) + 1);
+        const tokenBytes = ranks.getBytes(token);
+        lengthCounts[tokenBytes.length] = (lengthCounts[tokenBytes.length] || 0) + 1;
+        if (tokenBytes.length === 1) {
+          singleByte.tokens++;
+          row.singleByteTokens++;
+          if (tokenBytes[0] >= 0x80) singleByte.nonAscii++;
+        }
+      }
+
+      totals.pieces++;
+      totals.bytes += bytes.length;
+      totals.tokens += tokens.length;
+    }
+  }
+
+  const vocabulary = encoding.vocabulary;
+  const tokenFrequencies = [...tokenCounts]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .slice(0, topTokens)
+    .map(([token, count]) => ({
+      token,
+      text: LOSSY_DECODER.decode(ranks.getBytes(token)),
+      count,
+      share: ratio(count, totals.tokens),
+    }));
+
+  const tokenLengths = [];
+  lengthCounts.forEach((count, bytes) => {
+    if (count) tokenLengths.push({ bytes, count, share: ratio(count, totals.tokens) });
+  });
+
+  return {
+    encoding: encoding.name,
+    ...totals,
+    charsPerToken: ratio(totals.characters, totals.tokens),
+    bytesPerToken: ratio(totals.bytes, totals.tokens),
+    uniqueTokens: tokenCounts.size,
+    vocabularyCoverage: ratio(tokenCounts.size, vocabulary.size),
+    singleByte: {
+      tokens: singleByte.tokens,
+      share: ratio(singleByte.tokens, totals.bytes),
+      nonAscii: singleByte.nonAscii,
+      nonAsciiShare: ratio(singleByte.nonAscii, totals.bytes),
+    },
+    scripts: [...scripts.values()]
+      .sort((a, b) => b.bytes - a.bytes)
+      .map(row => ({
+        ...row,
+        charsPerToken: ratio(row.characters, row.tokens),
+        bytesPerToken: ratio(row.bytes, row.tokens),
+        singleByteShare: ratio(row.singleByteTokens, row.bytes),
+      })),
+    tokenFrequencies,
+    tokenLengths,
+    mergedPieces: {
+      count: mergedCount,
+      share: ratio(mergedCount, totals.pieces),
+      longest,
+    },
+  };
+}
+
+/**
+ * Quote a CSV field when it needs it (RFC 4180)
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export an analyzeCorpus() report as JSON or CSV
+ *
+ * @param {Object} stats - Report from analyzeCorpus()
+ * @param {Object} options - Export options
+ * @param {'json'|'csv'} options.format - Output format (default: 'json')
+ * @param {'scripts'|'tokens'|'lengths'|'pieces'} options.table - CSV only: which table to write
+ *   (per-script rows, token frequencies, token byte lengths or longest merged pieces; default: 'scripts')
+ * @returns {string} JSON text, or CSV with a header row
+ * @throws {Error} If the format or table is unknown
+ *
+ * @example
+ * await writeFile('scripts.csv', exportCorpusStats(stats, { format: 'csv' }));
+ * await writeFile('tokens.csv', exportCorpusStats(stats, { format: 'csv', table: 'tokens' }));
+ */
+export function exportCorpusStats(stats, options = {}) {
+  const { format = 'json', table = 'scripts' } = options;
+
+  if (format === 'json') {
+    return JSON.stringify(stats, null, 2);
+  }
+  if (format !== 'csv') {
+    throw new Error(`Unknown export format: ${format}. Expected 'json' or 'csv'`);
+  }
+
+  const columns = CSV_TABLES[table];
+  if (!columns) {
+    throw new Error(`Unknown table: ${table}. Expected one of: ${Object.keys(CSV_TABLES).join(', ')}`);
+  }
+
+  const rows = {
+    scripts: stats.scripts,
+    tokens: stats.tokenFrequencies,
+    lengths: stats.tokenLengths,
+    pieces: stats.mergedPieces.longest,
+  }[table];
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,195 @@
+/**
+ * Chat Message Token Counting
+ * Based on OpenAI's cookbook "How to count tokens with tiktoken"
+ * (num_tokens_from_messages)
+ *
+ * Counts tokens for chat completion requests, including the framing tokens
+ * each message adds (<|start|>{role/name}\n{content}<|end|>\n) and the
+ * tokens that prime the assistant's reply.
+ */
+
+import { encodingForModel } from '../encodings/registry.js';
+import { parseModelName } from '../encodings/models.js';
+
+// Per-family framing overhead
+// Models are matched exactly first, then by the longest prefix followed by '-'
+export const CHAT_MESSAGE_OVERHEAD = {
+  // Every message follows <|start|>{role/name}\n{content}<|end|>\n,
+  // and a name replaces the role
+  'gpt-3.5-turbo-0301': { tokensPerMessage: 4, tokensPerName: -1, replyPriming: 3 },
+  'gpt-35-turbo-0301': { tokensPerMessage: 4, tokensPerName: -1, replyPriming: 3 },
+
+  // Later models: name is appended after the role
+  'gpt-3.5-turbo': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'gpt-35-turbo': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 }, // Azure deployment name
+  'gpt-4': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'gpt-4o': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'chatgpt-4o': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+
+  // o200k_base models share the gpt-4o framing
+  'gpt-4.1': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'gpt-4.5': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'gpt-5': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'o1': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'o3': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+  'o4-mini': { tokensPerMessage: 3, tokensPerName: 1, replyPriming: 3 },
+};
+
+// Image token costs (vision pricing docs)
+const IMAGE_BASE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+const IMAGE_TILE_SIZE = 512;
+
+/**
+ * Resolve the framing overhead rules for a chat model
+ * Fine-tuned models use their base model's rules.
+ * @param {string} modelName - Model name (e.g., 'gpt-4o-2024-08-06', 'ft:gpt-4o-mini:org::abc')
+ * @returns {{tokensPerMessage: number, tokensPerName: number, replyPriming: number}}
+ * @throws {Error} If the model is not a supported chat model
+ */
+export function getChatOverhead(modelName) {
+  const model = parseModelName(modelName).baseModel;
+  if (CHAT_MESSAGE_OVERHEAD[model]) {
+    return CHAT_MESSAGE_OVERHEAD[model];
+  }
+
+  let bestPrefix = null;
+  for (const prefix of Object.keys(CHAT_MESSAGE_OVERHEAD)) {
+    if (model.startsWith(`${prefix}-`) && (!bestPrefix || prefix.length > bestPrefix.length)) {
+      bestPrefix = prefix;
+    }
+  }
+
+  if (!bestPrefix) {
+    throw new Error(
+      `Chat token counting is not supported for model: ${modelName}. ` +
+      `Supported families: ${Object.keys(CHAT_MESSAGE_OVERHEAD).join(', ')}`
+    );
+  }
+
+  return CHAT_MESSAGE_OVERHEAD[bestPrefix];
+}
+
+/**
+ * Count tokens for an image content part
+ * Low detail images cost a flat base; otherwise the image is scaled to fit
+ * 2048x2048, then its shortest side to 768, and split into 512px tiles
+ * @param {Object} imageUrl - The part's image_url object ({url, detail, width, height})
+ * @returns {number} Token count
+ * @private
+ */
+function countImageTokens(imageUrl = {}) {
+  if (imageUrl.detail === 'low') {
+    return IMAGE_BASE_TOKENS;
+  }
+
+  let { width, height } = imageUrl;
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error(
+      `Cannot count tokens for image with detail '${imageUrl.detail || 'auto'}' ` +
+      `without its dimensions. Pass image_url.width and image_url.height, ` +
+      `or use detail: 'low'.`
+    );
+  }
+
+  if (width > 2048 || height > 2048) {
+    const scale = 2048 / Math.max(width, height);
+    width *= scale;
+    height *= scale;
+  }
+  if (Math.min(width, height) > 768) {
+    const scale = 768 / Math.min(width, height);
+    width *= scale;
+    height *= scale;
+  }
+
+  const tiles = Math.ceil(width / IMAGE_TILE_SIZE) * Math.ceil(height / IMAGE_TILE_SIZE);
+  return IMAGE_BASE_TOKENS + IMAGE_TILE_TOKENS * tiles;
+}
+
+/**
+ * Count tokens for a message's content
+ * @param {import('../core/encoding.js').Encoding} encoding - Encoding to use
+ * @param {string|Object[]|null} content - String or array of content parts
+ * @returns {number} Token count
+ * @private
+ */
+function countContentTokens(encoding, content) {
+  if (content === null || content === undefined) {
+    return 0;
+  }
+
+  if (typeof content === 'string') {
+    return encoding.encode(content, { disallowedSpecial: new Set() }).length;
+  }
+
+  if (!Array.isArray(content)) {
+    throw new Error(`Message content must be a string or an array of content parts`);
+  }
+
+  let tokens = 0;
+  for (const part of content) {
+    if (part.type === 'text') {
+      tokens += encoding.encode(part.text || '', { disallowedSpecial: new Set() }).length;
+    } else if (part.type === 'image_url') {
+      tokens += countImageTokens(part.image_url);
+    } else {
+      throw new Error(`Unsupported content part type: ${part.type}`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Count tokens for a list of chat messages, including framing overhead
+ * Special token strings inside message text are counted as plain text,
+ * matching how the API treats user content.
+ *
+ * @param {Array<{role: string, content: string|Object[]|null, name?: string}>} messages - Chat messages
+ * @param {string} model - Chat model name (default: 'gpt-4')
+ * @returns {Promise<{model: string, encoding: string, total: number, replyPriming: number,
+ *   messages: Array<{index: number, role: string, tokens: number, contentTokens: number}>}>}
+ *   Total and per-message breakdown (per-message tokens include framing overhead)
+ *
+ * @example
+ * const { total } = await countChatTokens([
+ *   { role: 'system', content: 'You are a helpful assistant.' },
+ *   { role: 'user', content: 'Hello!' },
+ * ], 'gpt-4o');
+ */
+export async function countChatTokens(messages, model = 'gpt-4') {
+  if (!Array.isArray(messages)) {
+    throw new Error(`messages must be an array of {role, content, name} objects`);
+  }
+
+  const overhead = getChatOverhead(model);
+  const encoding = await encodingForModel(model);
+
+  const breakdown = messages.map((message, index) => {
+    if (!message || typeof message.role !== 'string') {
+      throw new Error(`Message at index ${index} is missing a string 'role'`);
+    }
+
+    const contentTokens = countContentTokens(encoding, message.content);
+    let tokens = overhead.tokensPerMessage +
+      encoding.encode(message.role, { disallowedSpecial: new Set() }).length +
+      contentTokens;
+
+    if (message.name) {
+      tokens += encoding.encode(message.name, { disallowedSpecial: new Set() }).length +
+        overhead.tokensPerName;
+    }
+
+    return { index, role: message.role, tokens, contentTokens };
+  });
+
+  const total = breakdown.reduce((sum, m) => sum + m.tokens, 0) + overhead.replyPriming;
+
+  return {
+    model,
+    encoding: encoding.name,
+    total,
+    replyPriming: overhead.replyPriming,
+    messages: breakdown,
+  };
+}
@@ -0,0 +1,359 @@
+/**
+ * <token-counter> Web Component
+ * The Simple Counter from index.html as an embeddable custom element
+ *
+ * Importing this module defines the element (once per page):
+ *
+ *   <script type="module" src="src/components/token-counter.js"></script>
+ *   <textarea id="prompt"></textarea>
+ *   <token-counter for="prompt" model="gpt-4o" limit="4096"></token-counter>
+ *
+ * Attributes:
+ *   for        id of the <textarea> or <input> to count (same document or shadow root)
+ *   model      Model whose encoding to use (default: 'gpt-4o')
+ *   encoding   Encoding name; takes precedence over model
+ *   limit      Token limit for the over-limit warning: a number, or 'context' for the
+ *              model's context window (default: no warning)
+ *
+ * Text is counted as ordinary text, so `<|endoftext|>` typed into a field is
+ * counted like any other text instead of failing. Without `for`, set the
+ * `text` property instead.
+ *
+ * Theming: CSS custom properties on the element (--token-counter-background,
+ * --token-counter-color, --token-counter-accent, --token-counter-border,
+ * --token-counter-gap, --token-counter-font, --token-counter-warning-background,
+ * --token-counter-warning-color) and the parts counter, stat, value, label,
+ * tokens, characters, ratio, warning and error. The host gets an `over-limit`
+ * attribute while the warning shows.
+ *
+ * Events: `token-count` (bubbles, composed) after every count, with detail
+ * { tokens, characters, ratio, limit, overLimit, encoding, model }.
+ */
+
+import { getEncoding, encodingForModel } from '../encodings/registry.js';
+import { getModelInfo } from '../encodings/models.js';
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+const TEMPLATE = `
+  <style>
+    :host {
+      display: block;
+      font-family: var(--token-counter-font, inherit);
+      color: var(--token-counter-color, #26274e);
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    .counter {
+      display: flex;
+      flex-wrap: wrap;
+      gap: var(--token-counter-gap, 12px);
+    }
+
+    .stat {
+      flex: 1;
+      min-width: 6em;
+      padding: 10px 14px;
+      background: var(--token-counter-background, #eaddac);
+      border: var(--token-counter-border, 3px solid #26274e);
+    }
+
+    .value {
+      display: block;
+      font-size: 1.6em;
+      font-weight: 900;
+      color: var(--token-counter-accent, #318b73);
+    }
+
+    .label {
+      display: block;
+      font-size: 0.75em;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    }
+
+    :host([over-limit]) .tokens .value {
+      color: var(--token-counter-warning-background, #943c23);
+    }
+
+    .warning,
+    .error {
+      margin-top: var(--token-counter-gap, 12px);
+      padding: 8px 14px;
+      font-weight: 900;
+      background: var(--token-counter-warning-background, #943c23);
+      color: var(--token-counter-warning-color, #eaddac);
+    }
+
+    [hidden] {
+      display: none;
+    }
+  </style>
+  <div class="counter" part="counter">
+    <div class="stat tokens" part="stat tokens">
+      <span class="value" part="value">…</span>
+      <span class="label" part="label">Tokens</span>
+    </div>
+    <div class="stat characters" part="stat characters">
+      <span class="value" part="value">0</span>
+      <span class="label" part="label">Characters</span>
+    </div>
+    <div class="stat ratio" part="stat ratio">
+      <span class="value" part="value">0.0</span>
+      <span class="label" part="label">Chars/Token</span>
+    </div>
+  </div>
+  <div class="warning" part="warning" role="status" hidden></div>
+  <div class="error" part="error" role="alert" hidden></div>
+`;
+
+// Lets the module be imported where there is no DOM (e.g. Node.js) without defining anything
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+/**
+ * Live token, character and ratio counts for a text field
+ *
+ * @example
+ * const counter = document.querySelector('token-counter');
+ * counter.addEventListener('token-count', (e) => {
+ *   submitButton.disabled = e.detail.overLimit;
+ * });
+ */
+export class TokenCounterElement extends BaseElement {
+  static get observedAttributes() {
+    return ['for', 'model', 'encoding', 'limit'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+
+    this._encoding = null;
+    this._loadId = 0;
+    this._text = '';
+    this._target = null;
+    this._frame = null;
+    this._onInput = () => this._scheduleUpdate();
+    this._onReady = () => this._attachTarget();
+
+    const shadow = this.shadowRoot;
+    this._values = {
+      tokens: shadow.querySelector('.tokens .value'),
+      characters: shadow.querySelector('.characters .value'),
+      ratio: shadow.querySelector('.ratio .value'),
+    };
+    this._warning = shadow.querySelector('.warning');
+    this._error = shadow.querySelector('.error');
+  }
+
+  connectedCallback() {
+    this._attachTarget();
+    this._loadEncoding();
+  }
+
+  disconnectedCallback() {
+    this._detachTarget();
+    this._cancelUpdate();
+    document.removeEventListener('DOMContentLoaded', this._onReady);
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.isConnected) return;
+
+    if (name === 'for') {
+      this._attachTarget();
+    } else if (name === 'model' || name === 'encoding') {
+      this._loadEncoding();
+    } else {
+      this._scheduleUpdate();
+    }
+  }
+
+  /**
+   * Text counted when there is no `for` target
+   * @type {string}
+   */
+  get text() {
+    return this._target ? this._target.value : this._text;
+  }
+
+  set text(value) {
+    this._text = String(value ?? '');
+    this._scheduleUpdate();
+  }
+
+  /**
+   * Count again, e.g. after setting the target's value from script (which fires no input event)
+   */
+  refresh() {
+    this._update();
+  }
+
+  /**
+   * Find the `for` element and listen to it
+   * Retries once the document is parsed if the element comes later in the page.
+   * @private
+   */
+  _attachTarget() {
+    this._detachTarget();
+
+    const id = this.getAttribute('for');
+    if (id) {
+      const root = this.getRootNode();
+      const target = typeof root.getElementById === 'function' ? root.getElementById(id) : null;
+      if (target) {
+        this._target = target;
+        target.addEventListener('input', this._onInput);
+      } else if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', this._onReady, { once: true });
+      }
+    }
+    this._scheduleUpdate();
+  }
+
+  /**
+   * @private
+   */
+  _detachTarget() {
+    if (this._target) {
+      this._target.removeEventListener('input', this._onInput);
+      this._target = null;
+    }
+  }
+
+  /**
+   * Load the encoding for the current attributes; a newer load wins over an older one
+   * @private
+   */
+  async _loadEncoding() {
+    const loadId = ++this._loadId;
+    const encodingName = this.getAttribute('encoding');
+    const model = this.getAttribute('model') || DEFAULT_MODEL;
+
+    try {
+      const encoding = encodingName ? await getEncoding(encodingName) : await encodingForModel(model);
+      if (loadId !== this._loadId) return;
+      this._encoding = encoding;
+      this._showError(null);
+      this._update();
+    } catch (err) {
+      if (loadId !== this._loadId) return;
+      this._encoding = null;
+      this._clearCounts();
+      this._showError(err.message);
+    }
+  }
+
+  /**
+   * Token limit from the `limit` attribute
+   * @private
+   * @returns {number|null} Limit, or null for no warning
+   */
+  _limit() {
+    const limit = this.getAttribute('limit');
+    if (limit === null || limit === '') return null;
+
+    if (limit === 'context') {
+      if (this.hasAttribute('encoding')) return null;
+      try {
+        return getModelInfo(this.getAttribute('model') || DEFAULT_MODEL).contextWindow;
+      } catch (err) {
+        return null;  // Unknown model: the load error is shown instead
+      }
+    }
+
+    const value = Number(limit);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  /**
+   * Coalesce bursts of input into one count per frame
+   * @private
+   */
+  _scheduleUpdate() {
+    if (this._frame !== null) return;
+    const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (fn) => setTimeout(fn, 0);
+    this._frame = schedule(() => {
+      this._frame = null;
+      this._update();
+    });
+  }
+
+  /**
+   * Drop a scheduled count
+   * @private
+   */
+  _cancelUpdate() {
+    if (this._frame === null) return;
+    const cancel = typeof requestAnimationFrame === 'function' ? cancelAnimationFrame : clearTimeout;
+    cancel(this._frame);
+    this._frame = null;
+  }
+
+  /**
+   * Count the text, update the display and dispatch `token-count`
+   * @private
+   */
+  _update() {
+    if (!this._encoding) return;
+
+    const text = this.text;
+    const tokens = this._encoding.encodeOrdinary(text).length;
+    const characters = text.length;
+    const ratio = tokens > 0 ? characters / tokens : 0;
+    const limit = this._limit();
+    const overLimit = limit !== null && tokens > limit;
+
+    this._values.tokens.textContent = tokens.toLocaleString();
+    this._values.characters.textContent = characters.toLocaleString();
+    this._values.ratio.textContent = ratio.toFixed(1);
+
+    this.toggleAttribute('over-limit', overLimit);
+    this._warning.hidden = !overLimit;
+    this._warning.textContent = overLimit
+      ? `${(tokens - limit).toLocaleString()} tokens over the ${limit.toLocaleString()}-token limit`
+      : '';
+
+    this.dispatchEvent(new CustomEvent('token-count', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        tokens,
+        characters,
+        ratio,
+        limit,
+        overLimit,
+        encoding: this._encoding.name,
+        model: this.hasAttribute('encoding') ? null : (this.getAttribute('model') || DEFAULT_MODEL),
+      },
+    }));
+  }
+
+  /**
+   * Blank the counts and the limit warning so stale values don't sit next to a load error
+   * @private
+   */
+  _clearCounts() {
+    for (const value of Object.values(this._values)) {
+      value.textContent = '–';
+    }
+    this.removeAttribute('over-limit');
+    this._warning.hidden = true;
+    this._warning.textContent = '';
+  }
+
+  /**
+   * @private
+   */
+  _showError(message) {
+    this._error.hidden = !message;
+    this._error.textContent = message || '';
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('token-counter')) {
+  customElements.define('token-counter', TokenCounterElement);
+}
@@ -7,34 +7,31 @@
  * 2. Repeatedly finds the lowest-rank (highest priority) adjacent pair
  * 3. Merges that pair into a single token
  * 4. Updates adjacent ranks and repeats until no more merges possible
+ *
+ * Ranks are looked up in a byte-keyed RankTable, so no string keys are
+ * built on the hot path.
  */
 
+import { RankTable } from './rank-table.js';
+import { isLogEnabled, log } from '../diagnostics/logger.js';
+
 export class BytePairEncoder {
-  // Debug flag - set to true to enable detailed BPE logging
-  static DEBUG = false;
-  
-  static _log(...args) {
-    if (this.DEBUG) {
-      console.log('[BPE]', ...args);
-    }
-  }
-  
   /**
    * Encode a piece of bytes into token IDs using BPE
-   * @param {Map<string, number>} ranks - Map of byte sequences (as keys) to their ranks
+   * @param {RankTable|Map<string, number>} ranks - Byte sequences to ranks (Maps are converted once)
    * @param {Uint8Array} piece - Bytes to encode
    * @returns {number[]} Array of token IDs
    */
   static encode(ranks, piece) {
+    ranks = RankTable.from(ranks);
+
     if (piece.length === 1) {
-      // FIX #1: Pass entire Uint8Array, not a JS array
-      const key = this.bytesToKey(piece);
-      const token = ranks.get(key);
+      const token = ranks.get(piece);
       
       // Strict validation: all single bytes should be in vocabulary
       if (token === undefined) {
         throw new Error(
-          `Single byte ${piece[0]} (key: ${key}) not found in vocabulary. ` +
+          `Single byte ${piece[0]} (key: ${this.bytesToKey(piece)}) not found in vocabulary. ` +
           `This should never happen - all 256 bytes should be in the base vocabulary.`
         );
       }
@@ -49,16 +46,15 @@ export class BytePairEncoder {
     for (let i = 0; i < parts.length - 1; i++) {
       const start = parts[i].pos;
       const end = parts[i + 1].pos;
-      const byteSlice = piece.slice(start, end);
-      const key = this.bytesToKey(byteSlice);
-      const token = ranks.get(key);
+      const token = ranks.get(piece, start, end);
       
       // FIX #2: Strict validation - BPE should only produce valid tokens
       if (token === undefined) {
+        const byteSlice = piece.slice(start, end);
         throw new Error(
           `BPE algorithm produced sequence not in vocabulary:\n` +
           `  Bytes: [${Array.from(byteSlice).join(', ')}]\n` +
-          `  Base64 key: ${key}\n` +
+          `  Base64 key: ${this.bytesToKey(byteSlice)}\n` +
           `  Position: ${start}-${end} in piece of length ${piece.length}\n` +
           `  This indicates a bug in the BPE merge algorithm.`
         );
@@ -73,107 +69,177 @@ export class BytePairEncoder {
   /**
    * Core BPE merge algorithm
    * Implements the logic from tiktoken's _byte_pair_merge function
+   *
+   * Parts are kept in a doubly linked list (indexed by start byte) and
+   * candidate merges in a binary min-heap ordered by (rank, position), so
+   * each merge costs O(log n) instead of a full rescan. Ties go to the
+   * leftmost pair, which gives exactly the same result as the original
+   * linear scan. Stale heap entries are skipped when popped.
+   *
+   * @returns {Array<{pos: number, rank: number}>} Part boundaries, ending with a sentinel at piece.length
    * @private
    */
   static _bytePairMerge(ranks, piece) {
-    this._log(`Starting BPE for piece of length ${piece.length}:`, Array.from(piece));
+    // Merge steps are logged at 'debug' level; the check keeps message building off the hot path
+    const debug = isLogEnabled('debug');
+    if (debug) log.debug('[BPE]', `Starting BPE for piece of length ${piece.length}:`, Array.from(piece));
     
-    // Array of {pos: byte_position, rank: merge_priority}
-    // Lower rank = higher priority to merge
-    const parts = [];
+    const len = piece.length;
+    // Heap keys pack (rank, pos) into one number: rank * stride + pos
+    const stride = len + 1;
+    
+    // Linked list of parts; each part is identified by its start byte.
+    // next[len] acts as the end sentinel.
+    const next = new Int32Array(len + 1);
+    const prev = new Int32Array(len + 1);
+    // rankAt[p] = rank of merging part p with the part after it (Infinity = no merge)
+    const rankAt = new Float64Array(len + 1);
+    const heap = [];
     
     // Phase 1: Initialize - find rank of each adjacent byte pair
-    let minRank = { rank: Infinity, index: -1 };
+    for (let i = 0; i < len; i++) {
+      next[i] = i + 1;
+      prev[i] = i - 1;
+      rankAt[i] = Infinity;
+    }
+    next[len] = len;
+    prev[len] = len - 1;
+    rankAt[len] = Infinity;
     
-    for (let i = 0; i < piece.length - 1; i++) {
-      const pairKey = this.bytesToKey(piece.slice(i, i + 2));
-      const rank = ranks.get(pairKey);
-      const rankValue = rank !== undefined ? rank : Infinity;
-      
-      if (rankValue < minRank.rank) {
-        minRank = { rank: rankValue, index: i };
+    for (let i = 0; i < len - 1; i++) {
+      const rank = this._pairRank(ranks, piece, i, i + 2);
+      rankAt[i] = rank;
+      if (rank !== Infinity) {
+        this._heapPush(heap, rank * stride + i);
       }
-      
-      parts.push({ pos: i, rank: rankValue });
     }
     
-    // Add sentinel values at the end
-    parts.push({ pos: piece.length - 1, rank: Infinity });
-    parts.push({ pos: piece.length, rank: Infinity });
-    
-    this._log(`Initial parts: ${parts.length}, minRank:`, minRank);
+    if (debug) log.debug('[BPE]', `Initial parts: ${len + 1}, candidate merges: ${heap.length}`);
 
     // Phase 2: Merge loop - repeatedly merge lowest-rank pair
     // FIX #3: Add iteration counter to prevent infinite loops
     let iterations = 0;
-    const maxIterations = piece.length * 2;  // Theoretical max: one merge per byte pair
+    const maxIterations = len * 2;  // Theoretical max: one merge per byte pair
     
-    while (minRank.rank !== Infinity) {
+    while (heap.length > 0) {
+      const key = this._heapPop(heap);
+      const pos = key % stride;
+      const rank = (key - pos) / stride;
+      
+      // Skip entries for parts that were merged away or re-ranked
+      if (rankAt[pos] !== rank) {
+        continue;
+      }
+      
       // Safety check: detect infinite loops
       iterations++;
       if (iterations > maxIterations) {
-        const partsDebug = parts.slice(0, 10).map((p, idx) => 
-          `${idx}: pos=${p.pos} rank=${p.rank}`
-        ).join(', ');
+        const partsDebug = [];
+        for (let p = 0; p < len && partsDebug.length < 10; p = next[p]) {
+          partsDebug.push(`${partsDebug.length}: pos=${p} rank=${rankAt[p]}`);
+        }
         
         throw new Error(
           `BPE merge infinite loop detected!\n` +
           `  Iterations: ${iterations} (max: ${maxIterations})\n` +
           `  Piece length: ${piece.length}\n` +
-          `  Current minRank: rank=${minRank.rank} index=${minRank.index}\n` +
-          `  Parts count: ${parts.length}\n` +
-          `  First 10 parts: ${partsDebug}\n` +
+          `  Current minRank: rank=${rank} pos=${pos}\n` +
+          `  Pending merges: ${heap.length}\n` +
+          `  First 10 parts: ${partsDebug.join(', ')}\n` +
           `  This is a critical bug in the merge algorithm.`
         );
       }
       
-      this._log(`Iteration ${iterations}: merging at index ${minRank.index}, rank ${minRank.rank}`);
+      if (debug) log.debug('[BPE]', `Iteration ${iterations}: merging at pos ${pos}, rank ${rank}`);
       
-      const i = minRank.index;
+      // Remove the second part of the merged pair
+      const removed = next[pos];
+      const after = next[removed];
+      next[pos] = after;
+      prev[after] = pos;
+      rankAt[removed] = Infinity;
       
-      // Update ranks of adjacent pairs before removing the merged one
-      if (i > 0) {
-        parts[i - 1].rank = this._getRank(ranks, piece, parts, i - 1);
+      // Update ranks of the merged part and the part before it
+      const newRank = after < len ? this._pairRank(ranks, piece, pos, next[after]) : Infinity;
+      rankAt[pos] = newRank;
+      if (newRank !== Infinity) {
+        this._heapPush(heap, newRank * stride + pos);
       }
-      parts[i].rank = this._getRank(ranks, piece, parts, i);
       
-      // Remove the second part of the merged pair
-      parts.splice(i + 1, 1);
-
-      // Find new minimum rank
-      minRank = { rank: Infinity, index: -1 };
-      for (let j = 0; j < parts.length - 1; j++) {
-        if (parts[j].rank < minRank.rank) {
-          minRank = { rank: parts[j].rank, index: j };
+      if (pos > 0) {
+        const before = prev[pos];
+        const beforeRank = this._pairRank(ranks, piece, before, after);
+        rankAt[before] = beforeRank;
+        if (beforeRank !== Infinity) {
+          this._heapPush(heap, beforeRank * stride + before);
         }
       }
     }
     
-    this._log(`BPE complete after ${iterations} iterations, final parts:`, parts.length);
+    // Collect surviving part boundaries in order
+    const parts = [];
+    for (let p = 0; p < len; p = next[p]) {
+      parts.push({ pos: p, rank: rankAt[p] });
+    }
+    parts.push({ pos: len, rank: Infinity });
+    
+    if (debug) log.debug('[BPE]', `BPE complete after ${iterations} iterations, final parts:`, parts.length);
     
     return parts;
   }
 
   /**
-   * Get the rank of the pair starting at position i in parts array
+   * Get the rank of the byte range [start, end) in piece
    * @private
    */
-  static _getRank(ranks, piece, parts, i) {
-    // Need at least 3 more elements to form a valid pair
-    if (i + 3 >= parts.length) {
-      return Infinity;
+  static _pairRank(ranks, piece, start, end) {
+    const rank = ranks.get(piece, start, end);
+    return rank !== undefined ? rank : Infinity;
+  }
+
+  /**
+   * Push a key onto a binary min-heap
+   * @private
+   */
+  static _heapPush(heap, key) {
+    let i = heap.length;
+    heap.push(key);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent] <= key) break;
+      heap[i] = heap[parent];
+      i = parent;
     }
+    heap[i] = key;
+  }
+
+  /**
+   * Pop the smallest key from a binary min-heap
+   * @private
+   */
+  static _heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    const size = heap.length;
+    if (size === 0) return top;
     
-    const start = parts[i].pos;
-    const end = parts[i + 3].pos;
-    const key = this.bytesToKey(piece.slice(start, end));
-    const rank = ranks.get(key);
-    return rank !== undefined ? rank : Infinity;
+    let i = 0;
+    while (true) {
+      const left = 2 * i + 1;
+      if (left >= size) break;
+      const right = left + 1;
+      const child = right < size && heap[right] < heap[left] ? right : left;
+      if (heap[child] >= last) break;
+      heap[i] = heap[child];
+      i = child;
+    }
+    heap[i] = last;
+    return top;
   }
 
   /**
-   * Convert byte array to string key for Map storage
-   * Uses base64 encoding for compact, collision-free keys
+   * Convert byte array to base64 string key
+   * This is the token format used in .tiktoken files and mergeableRanks Maps
    * @param {Uint8Array|number[]} bytes
    * @returns {string}
    */
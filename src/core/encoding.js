@@ -6,58 +6,244 @@
  */
 
 import { BytePairEncoder } from './bpe.js';
+import { RankTable } from './rank-table.js';
+import { StreamingEncoder } from '../streaming/stream-encoder.js';
+import { StreamingDecoder } from '../streaming/stream-decoder.js';
+import { Vocabulary } from './vocabulary.js';
+import { log } from '../diagnostics/logger.js';
+import { isStatsEnabled, now, recordTiming } from '../diagnostics/stats.js';
+
+const TEXT_ENCODER = new TextEncoder();
+
+/**
+ * Compile a split pattern, falling back for engines without inline modifiers
+ *
+ * The upstream patterns use `(?i:...)` groups, which older engines (including
+ * Node.js 22 and earlier) reject with "Invalid group". In that case the group
+ * is rewritten with explicit upper/lower case alternatives.
+ *
+ * @param {string} patStr - Regex pattern string
+ * @returns {RegExp} Compiled regex with 'gu' flags
+ */
+export function compilePattern(patStr) {
+  try {
+    return new RegExp(patStr, 'gu');
+  } catch (e) {
+    if (!patStr.includes('(?i:')) throw e;
+    return new RegExp(expandCaseInsensitiveGroups(patStr), 'gu');
+  }
+}
+
+/**
+ * Rewrite `(?i:...)` groups as `(?:...)` with both cases spelled out
+ * e.g. `(?i:[sdmt]|ll)` becomes `(?:[sdmtSDMT]|[lL][lL])`
+ * Exported for tests; compilePattern() only uses it where the engine needs it.
+ * @param {string} patStr - Regex pattern string
+ * @returns {string} Equivalent pattern without inline modifiers
+ */
+export function expandCaseInsensitiveGroups(patStr) {
+  let out = '';
+  let i = 0;
+
+  while (i < patStr.length) {
+    if (!patStr.startsWith('(?i:', i)) {
+      // Copy escapes verbatim so an escaped "(" is never mistaken for a group
+      const len = patStr[i] === '\\' ? escapeLength(patStr, i) : 1;
+      out += patStr.slice(i, i + len);
+      i += len;
+      continue;
+    }
+
+    out += '(?:';
+    i += 4;
+    let depth = 1;
+    let inClass = false;
+
+    while (i < patStr.length && depth > 0) {
+      const ch = patStr[i];
+
+      if (ch === '\\') {
+        const len = escapeLength(patStr, i);
+        out += patStr.slice(i, i + len);
+        i += len;
+        continue;
+      }
+
+      const variants = caseVariants(ch);
+      const isLetter = variants.length > 1;
+
+      if (inClass && ch !== ']' && patStr[i + 1] === '-' && i + 2 < patStr.length && patStr[i + 2] !== ']') {
+        // A range has to be expanded as a whole: [a-c] needs a-cA-C, not aA-cC
+        if (patStr[i + 2] === '\\') {
+          out += `${ch}-`;
+          i += 2;
+        } else {
+          out += caseRangeVariants(ch, patStr[i + 2]);
+          i += 3;
+        }
+        continue;
+      }
+
+      if (inClass) {
+        if (ch === ']') inClass = false;
+        out += variants;
+      } else if (ch === '[') {
+        inClass = true;
+        out += ch;
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        depth--;
+        out += ch;
+      } else {
+        out += isLetter ? `[${variants}]` : ch;
+      }
+      i++;
+    }
+  }
+
+  return out;
+}
+
+// Characters that Unicode case folding maps onto ASCII letters (what the 'iu' flags match)
+const EXTRA_CASE_FOLDS = { s: '\u017F', k: '\u212A' };
+
+/**
+ * All characters a case-insensitive match of ch would accept
+ * @param {string} ch - Single character
+ * @returns {string} ch itself for non-letters, otherwise every case variant
+ */
+function caseVariants(ch) {
+  const lower = ch.toLowerCase();
+  const upper = ch.toUpperCase();
+  if (lower === upper) return ch;
+  return lower + upper + (EXTRA_CASE_FOLDS[lower] || '');
+}
+
+/**
+ * Character class ranges a case-insensitive match of from-to would accept
+ * e.g. `a-c` becomes `a-cA-C`
+ * @param {string} from - First character of the range
+ * @param {string} to - Last character of the range
+ * @returns {string} The range followed by its lower and upper case versions
+ */
+function caseRangeVariants(from, to) {
+  const ranges = new Set([`${from}-${to}`]);
+  for (const [start, end] of [
+    [from.toLowerCase(), to.toLowerCase()],
+    [from.toUpperCase(), to.toUpperCase()],
+  ]) {
+    // Skip mappings that are not single characters or would turn the range around
+    if (start.length === 1 && end.length === 1 && start <= end) {
+      ranges.add(`${start}-${end}`);
+    }
+  }
+
+  let out = [...ranges].join('');
+  for (const [lower, fold] of Object.entries(EXTRA_CASE_FOLDS)) {
+    if (lower >= from.toLowerCase() && lower <= to.toLowerCase()) out += fold;
+  }
+  return out;
+}
+
+/**
+ * Length of the escape sequence starting at index i, including `\p{...}` classes
+ * @param {string} patStr - Regex pattern string
+ * @param {number} i - Index of the backslash
+ * @returns {number} Number of characters in the escape
+ */
+function escapeLength(patStr, i) {
+  const next = patStr[i + 1];
+  if ((next === 'p' || next === 'P') && patStr[i + 2] === '{') {
+    const close = patStr.indexOf('}', i + 3);
+    if (close !== -1) return close - i + 1;
+  }
+  return 2;
+}
+
+/**
+ * Move a byte offset to the nearest UTF-8 character boundary
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @param {number} offset - Byte offset
+ * @param {1|-1} direction - 1 to move forward, -1 to move backward
+ * @returns {number} Offset that does not split a character
+ */
+function snapToCharBoundary(bytes, offset, direction) {
+  // Continuation bytes look like 10xxxxxx
+  while (offset > 0 && offset < bytes.length && (bytes[offset] & 0xC0) === 0x80) {
+    offset += direction;
+  }
+  return offset;
+}
+
+/**
+ * Decode a UTF-8 byte range that starts and ends on character boundaries
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {string} Decoded text
+ */
+function decodeUtf8(bytes, start, end) {
+  return new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes.subarray(start, end));
+}
+
+/**
+ * Append tokens one at a time
+ * Spreading into push() overflows the call stack for a piece of a million tokens.
+ * @param {number[]} target - Array to append to
+ * @param {number[]} tokens - Tokens to append
+ */
+function appendTokens(target, tokens) {
+  for (let i = 0; i < tokens.length; i++) {
+    target.push(tokens[i]);
+  }
+}
 
 export class Encoding {
   /**
    * Create an Encoding instance
    * @param {string} name - Encoding name (e.g., 'cl100k_base')
    * @param {string} patStr - Regex pattern for text splitting
-   * @param {Map<string, number>} mergeableRanks - Map of byte sequences to token ranks
+   * @param {RankTable|Map<string, number>} mergeableRanks - Byte sequences to token ranks
+   *   (a Map with base64 keys is converted to a RankTable)
    * @param {Object<string, number>} specialTokens - Map of special token strings to IDs
    */
   constructor(name, patStr, mergeableRanks, specialTokens = {}) {
-    console.log(`[Encoding] Creating encoding: ${name}`);
-    console.log(`[Encoding] Mergeable ranks size: ${mergeableRanks.size}`);
-    console.log(`[Encoding] Special tokens: ${Object.keys(specialTokens).length}`);
+    const timed = isStatsEnabled();
+    const buildStart = timed ? now() : 0;
+    log.debug(`[Encoding] Creating encoding: ${name}`);
+    log.debug(`[Encoding] Mergeable ranks size: ${mergeableRanks.size}`);
+    log.debug(`[Encoding] Special tokens: ${Object.keys(specialTokens).length}`);
     
     this.name = name;
     this._patStr = patStr;
-    this._mergeableRanks = mergeableRanks;
+    // Byte-keyed table; also serves as the rank → bytes decoder
+    this._mergeableRanks = RankTable.from(mergeableRanks);
     this._specialTokens = specialTokens;
+    // Scratch space for UTF-8 pieces in encodeOrdinary()
+    this._pieceBuffer = new Uint8Array(256);
     
-    console.log(`[Encoding] Building decoder map...`);
-    // Build decoder maps
-    this._decoder = new Map();
-    let decoderCount = 0;
-    for (const [key, rank] of mergeableRanks) {
-      this._decoder.set(rank, BytePairEncoder.keyToBytes(key));
-      decoderCount++;
-      if (decoderCount % 50000 === 0) {
-        console.log(`[Encoding] Built ${decoderCount}/${mergeableRanks.size} decoder entries...`);
-      }
-    }
-    console.log(`[Encoding] Decoder map complete: ${this._decoder.size} entries`);
-    
-    console.log(`[Encoding] Building special tokens decoder...`);
+    log.debug(`[Encoding] Building special tokens decoder...`);
     this._specialTokensDecoder = new Map();
     const encoder = new TextEncoder();
     for (const [token, rank] of Object.entries(specialTokens)) {
       this._specialTokensDecoder.set(rank, encoder.encode(token));
     }
-    console.log(`[Encoding] Special tokens decoder complete`);
+    log.debug(`[Encoding] Special tokens decoder complete`);
     
     // Compile regex patterns
-    console.log(`[Encoding] Compiling regex pattern (length: ${patStr.length})...`);
+    log.debug(`[Encoding] Compiling regex pattern (length: ${patStr.length})...`);
     try {
-      this._pattern = new RegExp(patStr, 'gu');
-      console.log(`[Encoding] Regex compiled successfully`);
+      this._pattern = compilePattern(patStr);
+      log.debug(`[Encoding] Regex compiled successfully`);
     } catch (e) {
-      console.error(`[Encoding] Regex compilation failed:`, e);
+      log.error(`[Encoding] Regex compilation failed:`, e);
       throw new Error(`Invalid regex pattern: ${patStr}. Error: ${e.message}`);
     }
     
     // Create regex for special tokens
-    console.log(`[Encoding] Creating special token pattern...`);
+    log.debug(`[Encoding] Creating special token pattern...`);
     if (Object.keys(specialTokens).length > 0) {
       const specialPattern = Object.keys(specialTokens)
         .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
@@ -66,19 +252,12 @@ export class Encoding {
     } else {
       this._specialPattern = null;
     }
-    console.log(`[Encoding] Special token pattern complete`);
+    log.debug(`[Encoding] Special token pattern complete`);
     
     // Calculate max token value
-    console.log(`[Encoding] Calculating max token value...`);
-    // FIX: Don't spread 200k values! Use a loop instead
-    let maxMergeable = -1;
-    if (mergeableRanks.size > 0) {
-      for (const rank of mergeableRanks.values()) {
-        if (rank > maxMergeable) {
-          maxMergeable = rank;
-        }
-      }
-    }
+    log.debug(`[Encoding] Calculating max token value...`);
+    // FIX: Don't spread 200k values! RankTable tracks its max rank as it is built
+    const maxMergeable = this._mergeableRanks.maxRank;
     
     let maxSpecial = -1;
     if (Object.keys(specialTokens).length > 0) {
@@ -90,9 +269,13 @@ export class Encoding {
     }
     
     this.maxTokenValue = Math.max(maxMergeable, maxSpecial);
-    console.log(`[Encoding] Max token value: ${this.maxTokenValue}`);
+    log.debug(`[Encoding] Max token value: ${this.maxTokenValue}`);
     
-    console.log(`[Encoding] Encoding ${name} constructed successfully!`);
+    log.debug(`[Encoding] Encoding ${name} constructed successfully!`);
+
+    if (timed) {
+      recordTiming('build', now() - buildStart, { encoding: name, tokens: this._mergeableRanks.size });
+    }
   }
 
   // ==================== Encoding Methods ====================
@@ -110,31 +293,79 @@ export class Encoding {
    */
   encodeOrdinary(text) {
     if (!text) return [];
+    if (isStatsEnabled()) return this._encodeOrdinaryTimed(text);
     
     const matches = text.match(this._pattern);
     if (!matches) return [];
     
     const tokens = [];
-    const encoder = new TextEncoder();
     
     for (const match of matches) {
-      const piece = encoder.encode(match);
-      const key = BytePairEncoder.bytesToKey(piece);
-      
-      // Fast path: check if entire piece is already a token
-      const directToken = this._mergeableRanks.get(key);
-      if (directToken !== undefined) {
-        tokens.push(directToken);
-      } else {
-        // Run BPE on this piece
-        const pieceTokens = BytePairEncoder.encode(this._mergeableRanks, piece);
-        tokens.push(...pieceTokens);
-      }
+      this._encodePiece(match, tokens);
     }
     
     return tokens;
   }
 
+  /**
+   * encodeOrdinary() with split and merge timings
+   * @private
+   * @param {string} text - Text to encode
+   * @returns {number[]} Array of token IDs
+   */
+  _encodeOrdinaryTimed(text) {
+    const splitStart = now();
+    const matches = text.match(this._pattern) || [];
+    recordTiming('split', now() - splitStart, {
+      encoding: this.name,
+      characters: text.length,
+      pieces: matches.length,
+    });
+
+    const tokens = [];
+    let mergeTime = 0;
+    let merged = 0;
+    for (const match of matches) {
+      const start = now();
+      if (this._encodePiece(match, tokens)) {
+        mergeTime += now() - start;
+        merged++;
+      }
+    }
+    recordTiming('merge', mergeTime, { encoding: this.name, pieces: merged });
+
+    return tokens;
+  }
+
+  /**
+   * Encode one pre-tokenizer piece (a match of the split pattern)
+   * @private
+   * @param {string} match - Piece text
+   * @param {number[]} tokens - Output array, tokens are appended
+   * @returns {boolean} True if the piece needed byte pair merging
+   */
+  _encodePiece(match, tokens) {
+    // Encode into a reused buffer instead of allocating per piece
+    // (UTF-8 needs at most 3 bytes per UTF-16 code unit)
+    if (match.length * 3 > this._pieceBuffer.length) {
+      this._pieceBuffer = new Uint8Array(match.length * 3);
+    }
+    const { written } = TEXT_ENCODER.encodeInto(match, this._pieceBuffer);
+    const piece = this._pieceBuffer.subarray(0, written);
+    
+    // Fast path: check if entire piece is already a token
+    const directToken = this._mergeableRanks.get(piece);
+    if (directToken !== undefined) {
+      tokens.push(directToken);
+      return false;
+    }
+
+    // Run BPE on this piece
+    const pieceTokens = BytePairEncoder.encode(this._mergeableRanks, piece);
+    appendTokens(tokens, pieceTokens);
+    return true;
+  }
+
   /**
    * Encode text with special token handling
    * 
@@ -152,48 +383,13 @@ export class Encoding {
   encode(text, options = {}) {
     if (!text) return [];
     
-    const allowedSpecial = options.allowedSpecial || new Set();
-    const disallowedSpecial = options.disallowedSpecial === undefined 
-      ? 'all' 
-      : options.disallowedSpecial;
-    
-    // Build set of special tokens to check
-    const specialTokensSet = new Set(Object.keys(this._specialTokens));
-    
-    // Determine which special tokens are actually disallowed
-    let disallowedSet = new Set();
-    if (disallowedSpecial === 'all') {
-      disallowedSet = new Set(
-        [...specialTokensSet].filter(t => 
-          allowedSpecial !== 'all' && !allowedSpecial.has(t)
-        )
-      );
-    } else if (disallowedSpecial instanceof Set) {
-      disallowedSet = disallowedSpecial;
-    }
+    const { allowedSpecial, disallowedSet } = this._resolveSpecialOptions(options);
     
     // Check for disallowed special tokens
-    if (disallowedSet.size > 0) {
-      for (const token of disallowedSet) {
-        if (text.includes(token)) {
-          throw new Error(
-            `Encountered disallowed special token '${token}'. ` +
-            `If you want this text to be encoded as a special token, ` +
-            `pass it to allowedSpecial, e.g. allowedSpecial: new Set(['${token}']). ` +
-            `If you want this text to be encoded as normal text, ` +
-            `pass disallowedSpecial: new Set() to disable special token checking.`
-          );
-        }
-      }
-    }
+    this._checkDisallowedSpecial(text, disallowedSet);
     
     // Fast path: no special tokens to handle
-    if (allowedSpecial !== 'all' && allowedSpecial.size === 0) {
-      return this.encodeOrdinary(text);
-    }
-    
-    // Handle special tokens
-    if (!this._specialPattern) {
+    if (!this._splitsOnSpecial(allowedSpecial)) {
       return this.encodeOrdinary(text);
     }
     
@@ -212,7 +408,7 @@ export class Encoding {
         // Encode text before special token
         if (match.index > lastEnd) {
           const textBefore = text.slice(lastEnd, match.index);
-          tokens.push(...this.encodeOrdinary(textBefore));
+          appendTokens(tokens, this.encodeOrdinary(textBefore));
         }
         
         // Add special token
@@ -223,12 +419,114 @@ export class Encoding {
     
     // Encode remaining text
     if (lastEnd < text.length) {
-      tokens.push(...this.encodeOrdinary(text.slice(lastEnd)));
+      appendTokens(tokens, this.encodeOrdinary(text.slice(lastEnd)));
     }
     
     return tokens;
   }
 
+  /**
+   * Encode text and report the UTF-16 span of the source text each token covers
+   *
+   * Spans are contiguous and never overlap: slicing the text with each span
+   * and joining the results gives back the text. When a token boundary falls
+   * inside a multi-byte character, the character belongs to the token holding
+   * its first byte, and tokens holding only the rest of it get an empty span
+   * at the character's end. Spans therefore never split a surrogate pair.
+   *
+   * @param {string} text - Text to encode
+   * @param {Object} options - Same options as encode()
+   * @returns {Array<{token: number, start: number, end: number}>} Tokens with `[start, end)` spans
+   *
+   * @example
+   * encoding.encodeWithOffsets('hi 🦊');
+   * // [{ token: 6151, start: 0, end: 2 }, { token: 11410, start: 2, end: 5 },
+   * //  { token: 99, start: 5, end: 5 }, { token: 232, start: 5, end: 5 }]  (cl100k_base)
+   */
+  encodeWithOffsets(text, options = {}) {
+    const tokens = this.encode(text, options);
+    const byteOffsets = this._tokenByteOffsets(tokens);
+    const result = new Array(tokens.length);
+    
+    // Walk the text by code point, tracking where each character's UTF-8 bytes start
+    let charIndex = 0;
+    let byteIndex = 0;
+    let start = 0;
+    
+    for (let i = 0; i < tokens.length; i++) {
+      const tokenEnd = byteOffsets[i + 1];
+      while (byteIndex < tokenEnd && charIndex < text.length) {
+        const code = text.codePointAt(charIndex);
+        // Lone surrogates are encoded as U+FFFD (3 bytes)
+        byteIndex += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        charIndex += code >= 0x10000 ? 2 : 1;
+      }
+      result[i] = { token: tokens[i], start, end: charIndex };
+      start = charIndex;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Resolve encode() special token options
+   * @private
+   * @param {Object} options - Options passed to encode()
+   * @returns {{allowedSpecial: Set<string>|'all', disallowedSet: Set<string>}}
+   */
+  _resolveSpecialOptions(options) {
+    const allowedSpecial = options.allowedSpecial || new Set();
+    const disallowedSpecial = options.disallowedSpecial === undefined 
+      ? 'all' 
+      : options.disallowedSpecial;
+    
+    // Determine which special tokens are actually disallowed
+    let disallowedSet = new Set();
+    if (disallowedSpecial === 'all') {
+      disallowedSet = new Set(
+        Object.keys(this._specialTokens).filter(t => 
+          allowedSpecial !== 'all' && !allowedSpecial.has(t)
+        )
+      );
+    } else if (disallowedSpecial instanceof Set) {
+      disallowedSet = disallowedSpecial;
+    }
+    
+    return { allowedSpecial, disallowedSet };
+  }
+
+  /**
+   * Throw if text contains a disallowed special token
+   * @private
+   * @param {string} text - Text to check
+   * @param {Set<string>} disallowedSet - Disallowed special tokens
+   * @throws {Error} If a disallowed special token is found
+   */
+  _checkDisallowedSpecial(text, disallowedSet) {
+    for (const token of disallowedSet) {
+      if (text.includes(token)) {
+        throw new Error(
+          `Encountered disallowed special token '${token}'. ` +
+          `If you want this text to be encoded as a special token, ` +
+          `pass it to allowedSpecial, e.g. allowedSpecial: new Set(['${token}']). ` +
+          `If you want this text to be encoded as normal text, ` +
+          `pass disallowedSpecial: new Set() to disable special token checking.`
+        );
+      }
+    }
+  }
+
+  /**
+   * Check if text must be split around special tokens before BPE
+   * @private
+   * @param {Set<string>|'all'} allowedSpecial - Allowed special tokens
+   * @returns {boolean} False if the text can go straight to encodeOrdinary()
+   */
+  _splitsOnSpecial(allowedSpecial) {
+    if (allowedSpecial !== 'all' && allowedSpecial.size === 0) return false;
+    return this._specialPattern !== null;
+  }
+
   /**
    * Encode a single token (must be exact match in vocabulary)
    * @param {string|Uint8Array} textOrBytes - Text or bytes to encode
@@ -249,8 +547,7 @@ export class Encoding {
       bytes = textOrBytes;
     }
     
-    const key = BytePairEncoder.bytesToKey(bytes);
-    const token = this._mergeableRanks.get(key);
+    const token = this._mergeableRanks.get(bytes);
     
     if (token === undefined) {
       const text = typeof textOrBytes === 'string' 
@@ -274,7 +571,7 @@ export class Encoding {
     let totalLength = 0;
     
     for (const token of tokens) {
-      const bytes = this._decoder.get(token) || this._specialTokensDecoder.get(token);
+      const bytes = this._mergeableRanks.getBytes(token) || this._specialTokensDecoder.get(token);
       if (!bytes) {
         throw new Error(`Invalid token ID: ${token}`);
       }
@@ -326,7 +623,7 @@ export class Encoding {
    * @returns {Uint8Array} Token bytes
    */
   decodeSingleTokenBytes(token) {
-    const bytes = this._decoder.get(token) || this._specialTokensDecoder.get(token);
+    const bytes = this._mergeableRanks.getBytes(token) || this._specialTokensDecoder.get(token);
     if (!bytes) {
       throw new Error(`Invalid token ID: ${token}`);
     }
@@ -343,6 +640,189 @@ export class Encoding {
     return tokens.map(token => this.decodeSingleTokenBytes(token));
   }
 
+  // ==================== Streaming Methods ====================
+
+  /**
+   * Create an incremental encoder for text that arrives in chunks
+   * Tokens are emitted once the text that produces them can no longer change;
+   * everything push() and end() return, concatenated, equals encode(fullText).
+   *
+   * @param {Object} options - Same special token options as encode()
+   * @param {Set<string>|'all'} options.allowedSpecial - Set of allowed special tokens or 'all'
+   * @param {Set<string>|'all'} options.disallowedSpecial - Set of disallowed special tokens or 'all'
+   * @returns {StreamingEncoder} Encoder with push(chunk) and end()
+   *
+   * @example
+   * const encoder = encoding.createEncoder({ allowedSpecial: 'all' });
+   * const tokens = [...encoder.push('hello <|endo'), ...encoder.push('ftext|>'), ...encoder.end()];
+   * // same as encoding.encode('hello <|endoftext|>', { allowedSpecial: 'all' })
+   */
+  createEncoder(options = {}) {
+    return new StreamingEncoder(this, options);
+  }
+
+  /**
+   * Create an incremental decoder for tokens that arrive one at a time
+   * Bytes of a character split across tokens are held back until the
+   * character is complete, so no replacement characters appear mid-stream.
+   *
+   * @param {Object} options - Decoder options
+   * @param {'replace'|'ignore'|'strict'} options.errors - Handling of invalid bytes, applied
+   *   as they are found and by flush() to trailing bytes (default: 'replace')
+   * @returns {StreamingDecoder} Decoder with push(tokens) and flush()
+   *
+   * @example
+   * const decoder = encoding.createDecoder();
+   * decoder.push([9468, 99]);  // "" - first bytes of 🦊
+   * decoder.push([232]);       // "🦊"
+   */
+  createDecoder(options = {}) {
+    return new StreamingDecoder(this, options);
+  }
+
+  // ==================== Truncation Methods ====================
+
+  /**
+   * Truncate text to fit a token budget
+   * Cuts always land on UTF-8 character boundaries, so the result never
+   * contains replacement characters from a split code point. The returned
+   * count is from re-encoding the final text (ellipsis included), which can
+   * differ from the raw slice because BPE merges change at the cut.
+   *
+   * @param {string} text - Text to truncate
+   * @param {number} maxTokens - Maximum number of tokens in the result
+   * @param {Object} options - Truncation options (also passed through to encode())
+   * @param {'start'|'end'|'middle'} options.from - Where text is removed (default: 'end')
+   * @param {string} options.ellipsis - Marker inserted at the cut (default: '')
+   * @returns {{text: string, tokenCount: number, truncated: boolean}} Result text and its exact token count
+   * @throws {Error} If the ellipsis alone does not fit in maxTokens
+   *
+   * @example
+   * const { text, tokenCount } = encoding.truncate(longText, 100, { from: 'middle', ellipsis: '…' });
+   */
+  truncate(text, maxTokens, options = {}) {
+    const { from = 'end', ellipsis = '', ...encodeOptions } = options;
+
+    if (!Number.isInteger(maxTokens) || maxTokens < 0) {
+      throw new Error(`maxTokens must be a non-negative integer, got ${maxTokens}`);
+    }
+    if (!['start', 'end', 'middle'].includes(from)) {
+      throw new Error(`Invalid truncation side: ${from}. Use 'start', 'end' or 'middle'`);
+    }
+
+    const tokens = this.encode(text, encodeOptions);
+    if (tokens.length <= maxTokens) {
+      return { text: text || '', tokenCount: tokens.length, truncated: false };
+    }
+
+    const ellipsisCount = this.encode(ellipsis, encodeOptions).length;
+    if (ellipsisCount > maxTokens) {
+      throw new Error(
+        `Ellipsis ${JSON.stringify(ellipsis)} needs ${ellipsisCount} tokens, ` +
+        `which exceeds maxTokens (${maxTokens})`
+      );
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    const offsets = this._tokenByteOffsets(tokens);
+    const n = tokens.length;
+
+    // Re-encoding can merge differently at the cut, so shrink until it fits
+    for (let keep = maxTokens - ellipsisCount; keep >= 0; keep--) {
+      let result;
+      if (from === 'end') {
+        const end = snapToCharBoundary(bytes, offsets[keep], -1);
+        result = decodeUtf8(bytes, 0, end) + ellipsis;
+      } else if (from === 'start') {
+        const start = snapToCharBoundary(bytes, offsets[n - keep], 1);
+        result = ellipsis + decodeUtf8(bytes, start, bytes.length);
+      } else {
+        const headKeep = Math.ceil(keep / 2);
+        const end = snapToCharBoundary(bytes, offsets[headKeep], -1);
+        const start = snapToCharBoundary(bytes, offsets[n - (keep - headKeep)], 1);
+        result = decodeUtf8(bytes, 0, end) + ellipsis + decodeUtf8(bytes, start, bytes.length);
+      }
+
+      const tokenCount = this.encode(result, encodeOptions).length;
+      if (tokenCount <= maxTokens) {
+        return { text: result, tokenCount, truncated: true };
+      }
+    }
+
+    // Unreachable: keep = 0 leaves only the ellipsis, which fits
+    throw new Error(`Failed to truncate text to ${maxTokens} tokens`);
+  }
+
+  /**
+   * Extract the text covered by a range of tokens
+   * Indices work like Array.prototype.slice (negative values count from the end).
+   * A token that covers only part of a character at either edge is dropped
+   * along with that character, so the text is always valid.
+   *
+   * @param {string} text - Source text
+   * @param {number} start - Index of the first token (default: 0)
+   * @param {number} end - Index after the last token (default: token count)
+   * @param {Object} options - Options passed through to encode()
+   * @returns {{text: string, tokenCount: number}} Slice text and its exact token count
+   *
+   * @example
+   * const { text } = encoding.sliceTokens('hello world', 1);
+   * // " world"
+   */
+  sliceTokens(text, start = 0, end = undefined, options = {}) {
+    const tokens = this.encode(text, options);
+    const n = tokens.length;
+
+    const clamp = (i) => Math.min(Math.max(i < 0 ? n + i : i, 0), n);
+    const startIndex = clamp(start);
+    const endIndex = end === undefined ? n : clamp(end);
+    if (endIndex <= startIndex) {
+      return { text: '', tokenCount: 0 };
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    const offsets = this._tokenByteOffsets(tokens);
+    const byteStart = snapToCharBoundary(bytes, offsets[startIndex], 1);
+    const byteEnd = snapToCharBoundary(bytes, offsets[endIndex], -1);
+
+    const result = byteEnd > byteStart ? decodeUtf8(bytes, byteStart, byteEnd) : '';
+    return { text: result, tokenCount: this.encode(result, options).length };
+  }
+
+  /**
+   * Cumulative byte offsets of token boundaries
+   * offsets[i] is the byte position where token i starts; offsets[n] is the total length
+   * @param {number[]} tokens - Array of token IDs
+   * @returns {number[]} Array of n + 1 offsets
+   * @private
+   */
+  _tokenByteOffsets(tokens) {
+    const offsets = new Array(tokens.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      offsets[i + 1] = offsets[i] + this.decodeSingleTokenBytes(tokens[i]).length;
+    }
+    return offsets;
+  }
+
+  // ==================== Vocabulary Methods ====================
+
+  /**
+   * Browse and search the tokens of this encoding
+   * Created on first access; searching builds a decoded-text index once.
+   * @returns {Vocabulary} Vocabulary explorer
+   *
+   * @example
+   * encoding.vocabulary.lookup(' Kubernetes');  // entry or null
+   * encoding.vocabulary.search('function');     // tokens containing "function"
+   */
+  get vocabulary() {
+    if (!this._vocabulary) {
+      this._vocabulary = new Vocabulary(this);
+    }
+    return this._vocabulary;
+  }
+
   // ==================== Utility Methods ====================
 
   /**
@@ -0,0 +1,356 @@
+/**
+ * RankTable - Byte-keyed vocabulary storage
+ *
+ * Maps byte sequences to token ranks without building a string key for every
+ * lookup. All token bytes live in one shared Uint8Array pool, indexed by an
+ * open-addressing hash table (FNV-1a, linear probing). Lookups take a byte
+ * range of any Uint8Array, so BPE can query sub-slices of a piece directly.
+ *
+ * Also serves as the decoder: getBytes(rank) returns a view into the pool.
+ */
+
+const EMPTY = -1;
+const MAX_LOAD = 0.5;
+
+// Ranks index a dense array, so one huge rank in a corrupt vocabulary file would
+// allocate gigabytes. 2^24 is far above any real vocabulary (o200k_base: ~200k).
+const MAX_RANK = 2 ** 24 - 1;
+
+// Map → RankTable conversions, so callers passing the same Map reuse one table
+const convertedMaps = new WeakMap();
+
+/**
+ * Smallest power of two >= n
+ * @param {number} n
+ * @returns {number}
+ */
+function nextPowerOfTwo(n) {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+}
+
+/**
+ * Grow a typed array to at least minLength, preserving contents
+ * @param {Uint8Array|Uint32Array|Int32Array} array
+ * @param {number} minLength
+ * @param {number} fill - Value for new slots
+ */
+function grow(array, minLength, fill = 0) {
+  const grown = new array.constructor(Math.max(minLength, array.length * 2));
+  grown.set(array);
+  if (fill !== 0) grown.fill(fill, array.length);
+  return grown;
+}
+
+/**
+ * Decode a base64 key (the .tiktoken token format) to bytes
+ * @param {string} key
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(key) {
+  const binary = atob(key);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * FNV-1a hash of bytes[start..end)
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashBytes(bytes, start, end) {
+  let h = 0x811c9dc5;
+  for (let i = start; i < end; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export class RankTable {
+  /**
+   * Create an empty table
+   * @param {number} expectedSize - Expected number of tokens (pre-sizes storage)
+   */
+  constructor(expectedSize = 256) {
+    const capacity = Math.max(expectedSize, 16);
+    this._size = 0;
+    this._maxRank = -1;
+
+    // Entry storage, indexed by insertion order
+    this._pool = new Uint8Array(capacity * 8);
+    this._poolUsed = 0;
+    this._starts = new Uint32Array(capacity);
+    this._lengths = new Uint32Array(capacity);
+    this._hashes = new Uint32Array(capacity);
+    this._ranks = new Uint32Array(capacity);
+
+    // Hash slots hold entry indices; rank index maps rank → entry index
+    this._slots = new Int32Array(nextPowerOfTwo(capacity / MAX_LOAD)).fill(EMPTY);
+    this._mask = this._slots.length - 1;
+    this._byRank = new Int32Array(capacity).fill(EMPTY);
+  }
+
+  /**
+   * Get a RankTable for a table or a Map of base64 keys to ranks
+   * Maps are converted once and the result is reused for the same Map.
+   * @param {RankTable|Map<string|Uint8Array, number>} ranks
+   * @returns {RankTable}
+   */
+  static from(ranks) {
+    if (ranks instanceof RankTable) return ranks;
+
+    if (ranks instanceof Map) {
+      let table = convertedMaps.get(ranks);
+      if (!table) {
+        table = RankTable.fromEntries(ranks, ranks.size);
+        convertedMaps.set(ranks, table);
+      }
+      return table;
+    }
+
+    throw new Error('Mergeable ranks must be a RankTable or a Map of byte sequences to ranks');
+  }
+
+  /**
+   * Build a table from [key, rank] pairs
+   * Keys may be base64 strings (the .tiktoken / mergeableRanks convention),
+   * Uint8Arrays or arrays of byte values.
+   * @param {Iterable<[string|Uint8Array|number[], number]>} entries
+   * @param {number} expectedSize - Expected number of entries
+   * @returns {RankTable}
+   */
+  static fromEntries(entries, expectedSize = 256) {
+    const table = new RankTable(expectedSize);
+    for (const [key, rank] of entries) {
+      const bytes = typeof key === 'string' ? base64ToBytes(key) : key;
+      table.set(bytes, rank);
+    }
+    return table;
+  }
+
+  /**
+   * Number of tokens in the table
+   * @returns {number}
+   */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * Largest rank in the table (-1 if empty)
+   * @returns {number}
+   */
+  get maxRank() {
+    return this._maxRank;
+  }
+
+  /**
+   * Find the entry index for bytes[start..end)
+   * @private
+   */
+  _find(bytes, start, end, hash) {
+    const length = end - start;
+    const pool = this._pool;
+    let slot = hash & this._mask;
+
+    while (true) {
+      const entry = this._slots[slot];
+      if (entry === EMPTY) return EMPTY;
+
+      if (this._hashes[entry] === hash && this._lengths[entry] === length) {
+        const offset = this._starts[entry] - start;
+        let i = start;
+        while (i < end && pool[offset + i] === bytes[i]) i++;
+        if (i === end) return entry;
+      }
+
+      slot = (slot + 1) & this._mask;
+    }
+  }
+
+  /**
+   * Look up the rank of a byte sequence
+   * @param {Uint8Array} bytes - Bytes to look up
+   * @param {number} start - Start offset (default: 0)
+   * @param {number} end - End offset (default: bytes.length)
+   * @returns {number|undefined} Rank, or undefined if not in the vocabulary
+   */
+  get(bytes, start = 0, end = bytes.length) {
+    const entry = this._find(bytes, start, end, hashBytes(bytes, start, end));
+    return entry === EMPTY ? undefined : this._ranks[entry];
+  }
+
+  /**
+   * Check if a byte sequence is in the table
+   * @param {Uint8Array} bytes - Bytes to look up
+   * @param {number} start - Start offset (default: 0)
+   * @param {number} end - End offset (default: bytes.length)
+   * @returns {boolean}
+   */
+  has(bytes, start = 0, end = bytes.length) {
+    return this.get(bytes, start, end) !== undefined;
+  }
+
+  /**
+   * Get the bytes for a rank
+   * The returned array is a view into the table's storage - do not modify it.
+   * @param {number} rank - Token rank
+   * @returns {Uint8Array|undefined} Token bytes, or undefined if the rank is unknown
+   */
+  getBytes(rank) {
+    // Out-of-range or non-integer ranks read as undefined
+    const entry = this._byRank[rank];
+    if (entry === undefined || entry === EMPTY) return undefined;
+    const start = this._starts[entry];
+    return this._pool.subarray(start, start + this._lengths[entry]);
+  }
+
+  /**
+   * Add or update a byte sequence
+   * @param {Uint8Array|number[]} bytes - Token bytes
+   * @param {number} rank - Token rank (integer from 0 to 2^24 - 1)
+   * @returns {RankTable} this
+   * @throws {Error} If the rank is out of range or already taken by another sequence
+   */
+  set(bytes, rank) {
+    if (!Number.isInteger(rank) || rank < 0 || rank > MAX_RANK) {
+      throw new Error(`Invalid rank ${rank}: ranks must be integers from 0 to ${MAX_RANK}`);
+    }
+    if (!(bytes instanceof Uint8Array)) {
+      bytes = Uint8Array.from(bytes);
+    }
+
+    const hash = hashBytes(bytes, 0, bytes.length);
+    let entry = this._find(bytes, 0, bytes.length, hash);
+
+    const owner = rank < this._byRank.length ? this._byRank[rank] : EMPTY;
+    if (owner !== EMPTY && owner !== entry) {
+      throw new Error(
+        `Duplicate rank ${rank}: each token must have a unique rank ` +
+        `(encoder and decoder would disagree)`
+      );
+    }
+
+    let vacated = -1;
+    if (entry !== EMPTY) {
+      // Existing sequence: move it to the new rank (Map.set semantics)
+      if (this._byRank[this._ranks[entry]] === entry) {
+        vacated = this._ranks[entry];
+        this._byRank[vacated] = EMPTY;
+      }
+    } else {
+      entry = this._append(bytes, hash);
+    }
+
+    this._ranks[entry] = rank;
+    if (rank >= this._byRank.length) {
+      this._byRank = grow(this._byRank, rank + 1, EMPTY);
+    }
+    this._byRank[rank] = entry;
+    if (rank > this._maxRank) {
+      this._maxRank = rank;
+    } else if (vacated === this._maxRank) {
+      // The highest entry was re-ranked: scan down to it (at `rank` or above)
+      let top = vacated;
+      while (this._byRank[top] === EMPTY) top--;
+      this._maxRank = top;
+    }
+
+    return this;
+  }
+
+  /**
+   * Store a new entry and index it
+   * @private
+   */
+  _append(bytes, hash) {
+    const entry = this._size;
+
+    if (entry >= this._starts.length) {
+      this._starts = grow(this._starts, entry + 1);
+      this._lengths = grow(this._lengths, entry + 1);
+      this._hashes = grow(this._hashes, entry + 1);
+      this._ranks = grow(this._ranks, entry + 1);
+    }
+    if (this._poolUsed + bytes.length > this._pool.length) {
+      this._pool = grow(this._pool, this._poolUsed + bytes.length);
+    }
+
+    this._pool.set(bytes, this._poolUsed);
+    this._starts[entry] = this._poolUsed;
+    this._lengths[entry] = bytes.length;
+    this._hashes[entry] = hash;
+    this._poolUsed += bytes.length;
+    this._size++;
+
+    if (this._size > this._slots.length * MAX_LOAD) {
+      this._rehash(this._slots.length * 2);
+    } else {
+      this._insertSlot(entry, hash);
+    }
+    return entry;
+  }
+
+  /**
+   * Put an entry into the first free slot for its hash
+   * @private
+   */
+  _insertSlot(entry, hash) {
+    let slot = hash & this._mask;
+    while (this._slots[slot] !== EMPTY) {
+      slot = (slot + 1) & this._mask;
+    }
+    this._slots[slot] = entry;
+  }
+
+  /**
+   * Rebuild the hash slots with a new capacity
+   * @private
+   */
+  _rehash(capacity) {
+    this._slots = new Int32Array(capacity).fill(EMPTY);
+    this._mask = capacity - 1;
+    for (let entry = 0; entry < this._size; entry++) {
+      this._insertSlot(entry, this._hashes[entry]);
+    }
+  }
+
+  /**
+   * Iterate [bytes, rank] pairs in insertion order
+   * Byte arrays are views into the table's storage.
+   * @returns {IterableIterator<[Uint8Array, number]>}
+   */
+  *entries() {
+    for (let entry = 0; entry < this._size; entry++) {
+      const start = this._starts[entry];
+      yield [this._pool.subarray(start, start + this._lengths[entry]), this._ranks[entry]];
+    }
+  }
+
+  /**
+   * Iterate token byte sequences
+   * @returns {IterableIterator<Uint8Array>}
+   */
+  *keys() {
+    for (const [bytes] of this.entries()) yield bytes;
+  }
+
+  /**
+   * Iterate ranks
+   * @returns {IterableIterator<number>}
+   */
+  *values() {
+    for (const [, rank] of this.entries()) yield rank;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
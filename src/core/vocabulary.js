@@ -0,0 +1,316 @@
+/**
+ * Vocabulary Explorer
+ * Read-only view of an encoding's tokens for browsing and search
+ *
+ * Answers questions such as "which tokens contain `function`?" or "is
+ * ` Kubernetes` a single token?". Every entry carries its bytes, its text
+ * and whether those bytes are valid UTF-8 on their own: many byte-level BPE
+ * tokens are fragments of a multi-byte character (e.g. the first two bytes of
+ * an emoji) and only decode once joined with their neighbours.
+ */
+
+const TEXT_ENCODER = new TextEncoder();
+const STRICT_DECODER = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+const LOSSY_DECODER = new TextDecoder('utf-8', { ignoreBOM: true });
+
+const SEARCH_MODES = new Set(['substring', 'prefix', 'suffix', 'regex']);
+
+/**
+ * Decode token bytes, noting whether they are valid UTF-8 on their own
+ * @param {Uint8Array} bytes - Token bytes
+ * @returns {{text: string, validUtf8: boolean}} Text (with U+FFFD for invalid bytes)
+ */
+function decodeTokenText(bytes) {
+  try {
+    return { text: STRICT_DECODER.decode(bytes), validUtf8: true };
+  } catch (e) {
+    return { text: LOSSY_DECODER.decode(bytes), validUtf8: false };
+  }
+}
+
+/**
+ * Token browser for one encoding
+ *
+ * Entries have the shape `{ token, bytes, text, validUtf8, special }`; `text`
+ * uses U+FFFD for bytes that are not valid standalone UTF-8.
+ *
+ * @example
+ * const vocab = encoding.vocabulary;
+ * vocab.lookup(' Kubernetes');             // entry, or null if it takes several tokens
+ * vocab.search('function', { limit: 20 }); // tokens whose text contains "function"
+ * vocab.composition(vocab.lookup(' tokenizer').token);
+ */
+export class Vocabulary {
+  /**
+   * @param {Encoding} encoding - Encoding to explore
+   */
+  constructor(encoding) {
+    this._encoding = encoding;
+    this._ranks = encoding._mergeableRanks;
+    // Decoded text and UTF-8 validity per rank, built on the first full scan
+    this._texts = null;
+    this._validUtf8 = null;
+  }
+
+  /**
+   * Number of tokens, ordinary and special
+   * @returns {number}
+   */
+  get size() {
+    return this._ranks.size + Object.keys(this._encoding._specialTokens).length;
+  }
+
+  /**
+   * Iterate over all tokens in rank order, special tokens last
+   * @param {Object} options - Iteration options
+   * @param {boolean} options.special - Include special tokens (default: true)
+   * @returns {Generator<{token: number, bytes: Uint8Array, text: string, validUtf8: boolean, special: boolean}>}
+   */
+  *entries(options = {}) {
+    const { special = true } = options;
+    this._buildTextIndex();
+
+    for (let rank = 0; rank <= this._ranks.maxRank; rank++) {
+      if (this._texts[rank] === undefined) continue;
+      yield this._ordinaryEntry(rank);
+    }
+
+    if (special) {
+      for (const [text, token] of Object.entries(this._encoding._specialTokens)) {
+        yield this._specialEntry(text, token);
+      }
+    }
+  }
+
+  /**
+   * Iterate over all tokens (same as entries())
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Get the entry for a token ID
+   * @param {number} token - Token ID
+   * @returns {{token: number, bytes: Uint8Array, text: string, validUtf8: boolean, special: boolean}|null}
+   *   Entry, or null if the ID is not in the vocabulary
+   */
+  get(token) {
+    if (this._ranks.getBytes(token)) {
+      return this._ordinaryEntry(token);
+    }
+    for (const [text, id] of Object.entries(this._encoding._specialTokens)) {
+      if (id === token) return this._specialEntry(text, id);
+    }
+    return null;
+  }
+
+  /**
+   * Find the token for an exact string or byte sequence
+   * A string matching a special token's text returns the special token.
+   * @param {string|Uint8Array} textOrBytes - Text or bytes
+   * @returns {{token: number, bytes: Uint8Array, text: string, validUtf8: boolean, special: boolean}|null}
+   *   Entry, or null if it is not a single token
+   *
+   * @example
+   * encoding.vocabulary.lookup(' Kubernetes');  // { token: 67474, text: ' Kubernetes', ... } in cl100k_base
+   * encoding.vocabulary.lookup(' Kubernetes!'); // null: not a single token
+   */
+  lookup(textOrBytes) {
+    if (typeof textOrBytes === 'string') {
+      const special = this._encoding._specialTokens[textOrBytes];
+      if (special !== undefined) return this._specialEntry(textOrBytes, special);
+    }
+
+    const bytes = typeof textOrBytes === 'string' ? TEXT_ENCODER.encode(textOrBytes) : textOrBytes;
+    const rank = this._ranks.get(bytes);
+    return rank === undefined ? null : this._ordinaryEntry(rank);
+  }
+
+  /**
+   * Search tokens by their text
+   *
+   * @param {string|RegExp} query - Text to look for, or a regular expression
+   * @param {Object} options - Search options
+   * @param {'substring'|'prefix'|'suffix'|'regex'} options.mode - How a string query matches
+   *   (default: 'substring'; a RegExp query always uses 'regex')
+   * @param {boolean} options.ignoreCase - Case-insensitive match for string queries (default: false)
+   * @param {boolean} options.special - Include special tokens (default: false)
+   * @param {boolean|null} options.validUtf8 - Only tokens that are (true) or are not (false)
+   *   valid standalone UTF-8 (default: null = both)
+   * @param {number} options.limit - Maximum number of results (default: 100; Infinity for all)
+   * @returns {Array<{token: number, bytes: Uint8Array, text: string, validUtf8: boolean, special: boolean}>}
+   *   Matches in rank order
+   * @throws {Error} If the mode is unknown or the regex is invalid
+   *
+   * @example
+   * vocab.search('function');                        // contains "function"
+   * vocab.search(' Kube', { mode: 'prefix' });       // starts with " Kube"
+   * vocab.search(/^\s+$/, { limit: Infinity });      // whitespace-only tokens
+   * vocab.search('', { validUtf8: false, limit: 10 }); // fragments of multi-byte characters
+   */
+  search(query, options = {}) {
+    const {
+      ignoreCase = false,
+      special = false,
+      validUtf8 = null,
+      limit = 100,
+    } = options;
+    const mode = query instanceof RegExp ? 'regex' : (options.mode || 'substring');
+
+    if (!SEARCH_MODES.has(mode)) {
+      throw new Error(`Unknown search mode: ${mode}. Expected 'substring', 'prefix', 'suffix' or 'regex'`);
+    }
+
+    const matches = this._matcher(query, mode, ignoreCase);
+    const results = [];
+
+    for (const entry of this.entries({ special })) {
+      if (results.length >= limit) break;
+      if (validUtf8 !== null && entry.validUtf8 !== validUtf8) continue;
+      if (matches(entry.text)) results.push(entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Show how a token is built from lower-rank merges
+   *
+   * Replays byte pair merging on the token's own bytes, so the tree is the one
+   * BytePairEncoder follows: each node's children are the two lower-rank
+   * tokens merged into it, down to single bytes. A few vocabulary entries are
+   * not reachable by merging; their root lists every remaining part as a
+   * child and has `merged: false`.
+   *
+   * @param {number} token - Token ID
+   * @returns {{token: number, text: string, bytes: Uint8Array, merged: boolean, children: Object[]}}
+   *   Merge tree (special tokens and single bytes have no children)
+   * @throws {Error} If the token ID is not in the vocabulary
+   *
+   * @example
+   * const tree = cl100k.vocabulary.composition(47058);
+   * // { token: 47058, text: ' tokenizer', children: [{ token: 4037, text: ' token', ... },
+   * //   { token: 3213, text: 'izer', ... }], ... }
+   */
+  composition(token) {
+    const entry = this.get(token);
+    if (!entry) {
+      throw new Error(`Invalid token ID: ${token}`);
+    }
+
+    const node = (e, children) => ({
+      token: e.token,
+      text: e.text,
+      bytes: e.bytes,
+      merged: true,
+      children,
+    });
+
+    if (entry.special || entry.bytes.length === 1) {
+      return node(entry, []);
+    }
+
+    const bytes = entry.bytes;
+    let parts = Array.from(bytes, (_, i) => ({
+      start: i,
+      end: i + 1,
+      node: node(this._ordinaryEntry(this._ranks.get(bytes, i, i + 1)), []),
+    }));
+
+    // Merge the lowest-ranked adjacent pair until no pair is a token
+    while (parts.length > 1) {
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = this._ranks.get(bytes, parts[i].start, parts[i + 1].end);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          best = i;
+        }
+      }
+      if (best === -1) break;
+
+      const left = parts[best];
+      const right = parts[best + 1];
+      parts.splice(best, 2, {
+        start: left.start,
+        end: right.end,
+        node: node(this._ordinaryEntry(bestRank), [left.node, right.node]),
+      });
+    }
+
+    if (parts.length === 1) {
+      return parts[0].node;
+    }
+    return { ...node(entry, parts.map(part => part.node)), merged: false };
+  }
+
+  /**
+   * Build the decoded text index for all ranks
+   * @private
+   */
+  _buildTextIndex() {
+    if (this._texts) return;
+
+    const maxRank = this._ranks.maxRank;
+    const texts = new Array(maxRank + 1);
+    const valid = new Uint8Array(maxRank + 1);
+    for (let rank = 0; rank <= maxRank; rank++) {
+      const bytes = this._ranks.getBytes(rank);
+      if (!bytes) continue;
+      const decoded = decodeTokenText(bytes);
+      texts[rank] = decoded.text;
+      valid[rank] = decoded.validUtf8 ? 1 : 0;
+    }
+
+    this._texts = texts;
+    this._validUtf8 = valid;
+  }
+
+  /**
+   * Entry for an ordinary token
+   * @private
+   */
+  _ordinaryEntry(rank) {
+    const bytes = this._ranks.getBytes(rank).slice();
+    if (this._texts) {
+      return { token: rank, bytes, text: this._texts[rank], validUtf8: this._validUtf8[rank] === 1, special: false };
+    }
+    return { token: rank, bytes, ...decodeTokenText(bytes), special: false };
+  }
+
+  /**
+   * Entry for a special token
+   * @private
+   */
+  _specialEntry(text, token) {
+    return { token, bytes: TEXT_ENCODER.encode(text), text, validUtf8: true, special: true };
+  }
+
+  /**
+   * Build the text predicate for a search
+   * @private
+   */
+  _matcher(query, mode, ignoreCase) {
+    if (mode === 'regex') {
+      let regex;
+      try {
+        regex = query instanceof RegExp ? query : new RegExp(query, ignoreCase ? 'iu' : 'u');
+      } catch (e) {
+        throw new Error(`Invalid regex: ${query}. Error: ${e.message}`);
+      }
+      // A global or sticky regex would carry lastIndex from one token to the next
+      if (regex.global || regex.sticky) {
+        regex = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+      }
+      return text => regex.test(text);
+    }
+
+    const needle = ignoreCase ? query.toLowerCase() : query;
+    const normalize = ignoreCase ? text => text.toLowerCase() : text => text;
+    if (mode === 'prefix') return text => normalize(text).startsWith(needle);
+    if (mode === 'suffix') return text => normalize(text).endsWith(needle);
+    return text => normalize(text).includes(needle);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Logging
+ * Library messages go through one configurable logger
+ *
+ * Nothing is logged until a logger is set. Any object with debug/info/warn/
+ * error methods works (`console`, pino, winston, ...); a logger without one
+ * of them falls back to its `log` method, or drops that level.
+ *
+ * Levels, from most to least verbose:
+ *   debug  Step-by-step detail (encoding construction, BPE merges)
+ *   info   Loads, cache hits, registrations
+ *   warn   Recoverable problems (cache failures, skipped vocabulary lines)
+ *   error  Failed loads
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+/**
+ * Log levels, most verbose first
+ */
+export const LOG_LEVELS = Object.keys(LEVELS);
+
+let sink = null;
+let threshold = LEVELS.info;
+
+/**
+ * Set the logger that receives library messages
+ *
+ * @param {Object|null} logger - Object with debug/info/warn/error (or log) methods; null to silence
+ * @param {Object} options - Logger options
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} options.level - Least severe level to pass on
+ *   (default: keep the current level, initially 'info')
+ * @throws {Error} If the logger or level is invalid
+ *
+ * @example
+ * setLogger(console, { level: 'debug' });  // everything, including BPE merge steps
+ * setLogger(myLogger, { level: 'warn' });  // problems only
+ * setLogger(null);                         // silent again (the default)
+ */
+export function setLogger(logger, options = {}) {
+  if (logger !== null && (typeof logger !== 'object' && typeof logger !== 'function')) {
+    throw new Error('Logger must be an object with debug/info/warn/error methods, or null');
+  }
+  if (options.level !== undefined) {
+    setLogLevel(options.level);
+  }
+  sink = logger;
+}
+
+/**
+ * Set the least severe level that is passed to the logger
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} level - Log level
+ * @throws {Error} If the level is unknown
+ */
+export function setLogLevel(level) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level: ${level}. Expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  threshold = LEVELS[level];
+}
+
+/**
+ * Get the current log level
+ * @returns {string} Log level
+ */
+export function getLogLevel() {
+  return LOG_LEVELS.find(level => LEVELS[level] === threshold);
+}
+
+/**
+ * Check whether messages of a level would reach the logger
+ * Lets hot paths skip building messages nobody will see.
+ * @param {string} level - Log level
+ * @returns {boolean}
+ */
+export function isLogEnabled(level) {
+  return sink !== null && LEVELS[level] >= threshold;
+}
+
+/**
+ * Pass a message to the logger if its level is enabled
+ * @private
+ */
+function write(level, args) {
+  if (!isLogEnabled(level)) return;
+  const method = typeof sink[level] === 'function' ? sink[level] : sink.log;
+  if (typeof method === 'function') {
+    method.apply(sink, args);
+  }
+}
+
+/**
+ * Library-internal logging functions
+ * @private
+ */
+export const log = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+};
@@ -0,0 +1,147 @@
+/**
+ * Performance Statistics
+ * Timings for the stages of loading and using an encoding
+ *
+ * Phases:
+ *   download  Reading a vocabulary file (network or disk)
+ *   hash      SHA-256 verification of a vocabulary
+ *   parse     Turning vocabulary data (file or cache entry) into ranks
+ *   build     Constructing an Encoding (rank table, special token decoder, regexes)
+ *   split     Splitting text with the encoding's regex (per encodeOrdinary() call)
+ *   merge     Byte pair merging of pieces that are not a single token (per call)
+ *
+ * Timing is off until enableStats() is called or a listener is added, so
+ * encoding pays nothing for it by default. Statistics are per thread: an
+ * AsyncEncoding worker keeps its own.
+ */
+
+/**
+ * Phases that are timed
+ */
+export const TIMING_PHASES = ['download', 'hash', 'parse', 'build', 'split', 'merge'];
+
+let collecting = false;
+const listeners = new Set();
+let totals = new Map();
+
+/**
+ * Current time in milliseconds (high resolution where available)
+ * @private
+ */
+export function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Check whether timings are being recorded
+ * Instrumented code checks this before reading the clock.
+ * @returns {boolean}
+ */
+export function isStatsEnabled() {
+  return collecting || listeners.size > 0;
+}
+
+/**
+ * Turn statistics collection on or off
+ * Listeners receive events while they are registered either way.
+ * @param {boolean} enabled - Collect timings for getStats() (default: true)
+ */
+export function enableStats(enabled = true) {
+  collecting = Boolean(enabled);
+}
+
+/**
+ * Record one timed operation
+ * @param {string} phase - One of TIMING_PHASES
+ * @param {number} duration - Duration in milliseconds
+ * @param {Object} detail - Extra fields for listeners (encoding name, sizes, counts)
+ * @private
+ */
+export function recordTiming(phase, duration, detail = {}) {
+  if (collecting) {
+    let entry = totals.get(phase);
+    if (!entry) {
+      entry = { count: 0, total: 0, min: Infinity, max: 0 };
+      totals.set(phase, entry);
+    }
+    entry.count++;
+    entry.total += duration;
+    if (duration < entry.min) entry.min = duration;
+    if (duration > entry.max) entry.max = duration;
+  }
+
+  if (listeners.size > 0) {
+    const event = { phase, duration, ...detail };
+    for (const listener of listeners) {
+      // A failing telemetry callback must not break encoding
+      try {
+        listener(event);
+      } catch (e) {
+        // Ignored: listeners are the caller's code
+      }
+    }
+  }
+}
+
+/**
+ * Get the collected timings
+ * @returns {Object<string, {count: number, total: number, mean: number, min: number, max: number}>}
+ *   Milliseconds per phase; phases that never ran are missing
+ *
+ * @example
+ * enableStats();
+ * await getEncoding('o200k_base');
+ * enc.encode(longText);
+ * getStats();
+ * // { download: { count: 1, total: 41.2, ... }, parse: {...}, build: {...}, split: {...}, merge: {...} }
+ */
+export function getStats() {
+  const stats = {};
+  for (const phase of TIMING_PHASES) {
+    const entry = totals.get(phase);
+    if (!entry) continue;
+    stats[phase] = {
+      count: entry.count,
+      total: entry.total,
+      mean: entry.total / entry.count,
+      min: entry.min,
+      max: entry.max,
+    };
+  }
+  return stats;
+}
+
+/**
+ * Discard the collected timings
+ */
+export function resetStats() {
+  totals = new Map();
+}
+
+/**
+ * Receive every timing as it is recorded
+ * Events are `{ phase, duration, ...detail }` with the duration in
+ * milliseconds; detail fields depend on the phase (e.g. `encoding`, `bytes`,
+ * `characters`, `pieces`).
+ *
+ * @param {Function} listener - Called with each timing event
+ * @returns {Function} Call to remove the listener
+ *
+ * @example
+ * const stop = addStatsListener(({ phase, duration, ...detail }) => telemetry.histogram(`tokenizer.${phase}`, duration, detail));
+ */
+export function addStatsListener(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Stats listener must be a function');
+  }
+  listeners.add(listener);
+  return () => removeStatsListener(listener);
+}
+
+/**
+ * Stop sending timings to a listener
+ * @param {Function} listener - Listener passed to addStatsListener()
+ */
+export function removeStatsListener(listener) {
+  listeners.delete(listener);
+}
@@ -0,0 +1,273 @@
+/**
+ * Model Registry
+ * Based on tiktoken's model.py (MODEL_TO_ENCODING / MODEL_PREFIX_TO_ENCODING)
+ *
+ * Maps model names to encodings and request limits. Names are resolved in
+ * this order:
+ *   1. Exact match in MODEL_TO_ENCODING
+ *   2. Fine-tuned ids (`ft:gpt-4o-mini:org::abc`, legacy `curie:ft-org-...`)
+ *      resolve through their base model
+ *   3. Longest matching prefix in MODEL_PREFIX_TO_ENCODING (dated snapshots
+ *      such as `gpt-4o-2024-11-20`, `o3-mini-2025-01-31`)
+ */
+
+// Model to encoding mapping
+export const MODEL_TO_ENCODING = {
+  // Reasoning models
+  'o1': 'o200k_base',
+  'o1-mini': 'o200k_base',
+  'o1-preview': 'o200k_base',
+  'o3': 'o200k_base',
+  'o3-mini': 'o200k_base',
+  'o4-mini': 'o200k_base',
+
+  // GPT-5 models
+  'gpt-5': 'o200k_base',
+  'gpt-5-mini': 'o200k_base',
+  'gpt-5-nano': 'o200k_base',
+
+  // GPT-4.1 / GPT-4.5 models
+  'gpt-4.1': 'o200k_base',
+  'gpt-4.1-mini': 'o200k_base',
+  'gpt-4.1-nano': 'o200k_base',
+  'gpt-4.5-preview': 'o200k_base',
+
+  // GPT-4o models
+  'gpt-4o': 'o200k_base',
+  'gpt-4o-mini': 'o200k_base',
+  'gpt-4o-2024-08-06': 'o200k_base',
+  'gpt-4o-2024-05-13': 'o200k_base',
+  'gpt-4o-mini-2024-07-18': 'o200k_base',
+  'chatgpt-4o-latest': 'o200k_base',
+
+  // GPT-4 models (cl100k_base)
+  'gpt-4': 'cl100k_base',
+  'gpt-4-turbo': 'cl100k_base',
+  'gpt-4-turbo-preview': 'cl100k_base',
+  'gpt-4-0125-preview': 'cl100k_base',
+  'gpt-4-1106-preview': 'cl100k_base',
+  'gpt-4-vision-preview': 'cl100k_base',
+  'gpt-4-0314': 'cl100k_base',
+  'gpt-4-0613': 'cl100k_base',
+  'gpt-4-32k': 'cl100k_base',
+  'gpt-4-32k-0314': 'cl100k_base',
+  'gpt-4-32k-0613': 'cl100k_base',
+
+  // GPT-3.5-turbo models (cl100k_base)
+  'gpt-3.5-turbo': 'cl100k_base',
+  'gpt-3.5-turbo-16k': 'cl100k_base',
+  'gpt-3.5-turbo-0125': 'cl100k_base',
+  'gpt-3.5-turbo-1106': 'cl100k_base',
+  'gpt-3.5-turbo-0613': 'cl100k_base',
+  'gpt-3.5-turbo-16k-0613': 'cl100k_base',
+  'gpt-3.5-turbo-0301': 'cl100k_base',
+  'gpt-35-turbo': 'cl100k_base', // Azure deployment name
+
+  // Base models
+  'davinci-002': 'cl100k_base',
+  'babbage-002': 'cl100k_base',
+
+  // Older GPT-3 models
+  'text-davinci-003': 'p50k_base',
+  'text-davinci-002': 'p50k_base',
+  'text-davinci-001': 'r50k_base',
+  'text-curie-001': 'r50k_base',
+  'text-babbage-001': 'r50k_base',
+  'text-ada-001': 'r50k_base',
+  'davinci': 'r50k_base',
+  'curie': 'r50k_base',
+  'babbage': 'r50k_base',
+  'ada': 'r50k_base',
+
+  // Code models
+  'code-davinci-002': 'p50k_base',
+  'code-davinci-001': 'p50k_base',
+  'code-cushman-002': 'p50k_base',
+  'code-cushman-001': 'p50k_base',
+  'davinci-codex': 'p50k_base',
+  'cushman-codex': 'p50k_base',
+
+  // Edit models
+  'text-davinci-edit-001': 'p50k_edit',
+  'code-davinci-edit-001': 'p50k_edit',
+
+  // Embeddings models
+  'text-embedding-ada-002': 'cl100k_base',
+  'text-embedding-3-small': 'cl100k_base',
+  'text-embedding-3-large': 'cl100k_base',
+};
+
+// Model name prefixes to encoding, for snapshots and variants not listed above
+export const MODEL_PREFIX_TO_ENCODING = {
+  'o1-': 'o200k_base',
+  'o3-': 'o200k_base',
+  'o4-mini-': 'o200k_base',
+  'gpt-5-': 'o200k_base',
+  'gpt-4.1-': 'o200k_base',
+  'gpt-4.5-': 'o200k_base',
+  'gpt-4o-': 'o200k_base',
+  'chatgpt-4o-': 'o200k_base',
+  'gpt-4-': 'cl100k_base',
+  'gpt-3.5-turbo-': 'cl100k_base',
+  'gpt-35-turbo-': 'cl100k_base',
+};
+
+// Request limits (tokens), from OpenAI's model documentation
+// Models are matched exactly first, then by the longest key followed by '-'.
+// maxOutputTokens is null for embedding models; older completion models
+// share one window between prompt and completion.
+export const MODEL_INFO = {
+  'o1': { contextWindow: 200000, maxOutputTokens: 100000 },
+  'o1-mini': { contextWindow: 128000, maxOutputTokens: 65536 },
+  'o1-preview': { contextWindow: 128000, maxOutputTokens: 32768 },
+  'o3': { contextWindow: 200000, maxOutputTokens: 100000 },
+  'o3-mini': { contextWindow: 200000, maxOutputTokens: 100000 },
+  'o4-mini': { contextWindow: 200000, maxOutputTokens: 100000 },
+
+  'gpt-5': { contextWindow: 400000, maxOutputTokens: 128000 },
+  'gpt-5-mini': { contextWindow: 400000, maxOutputTokens: 128000 },
+  'gpt-5-nano': { contextWindow: 400000, maxOutputTokens: 128000 },
+
+  'gpt-4.1': { contextWindow: 1047576, maxOutputTokens: 32768 },
+  'gpt-4.1-mini': { contextWindow: 1047576, maxOutputTokens: 32768 },
+  'gpt-4.1-nano': { contextWindow: 1047576, maxOutputTokens: 32768 },
+  'gpt-4.5-preview': { contextWindow: 128000, maxOutputTokens: 16384 },
+
+  'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384 },
+  'gpt-4o-2024-05-13': { contextWindow: 128000, maxOutputTokens: 4096 },
+  'gpt-4o-mini': { contextWindow: 128000, maxOutputTokens: 16384 },
+  'chatgpt-4o-latest': { contextWindow: 128000, maxOutputTokens: 16384 },
+
+  'gpt-4': { contextWindow: 8192, maxOutputTokens: 8192 },
+  'gpt-4-32k': { contextWindow: 32768, maxOutputTokens: 32768 },
+  'gpt-4-turbo': { contextWindow: 128000, maxOutputTokens: 4096 },
+  'gpt-4-turbo-preview': { contextWindow: 128000, maxOutputTokens: 4096 },
+  'gpt-4-0125-preview': { contextWindow: 128000, maxOutputTokens: 4096 },
+  'gpt-4-1106-preview': { contextWindow: 128000, maxOutputTokens: 4096 },
+  'gpt-4-vision-preview': { contextWindow: 128000, maxOutputTokens: 4096 },
+
+  'gpt-3.5-turbo': { contextWindow: 16385, maxOutputTokens: 4096 },
+  'gpt-3.5-turbo-16k': { contextWindow: 16385, maxOutputTokens: 16385 },
+  'gpt-3.5-turbo-0613': { contextWindow: 4096, maxOutputTokens: 4096 },
+  'gpt-3.5-turbo-0301': { contextWindow: 4096, maxOutputTokens: 4096 },
+  'gpt-35-turbo': { contextWindow: 16385, maxOutputTokens: 4096 },
+
+  'davinci-002': { contextWindow: 16384, maxOutputTokens: 16384 },
+  'babbage-002': { contextWindow: 16384, maxOutputTokens: 16384 },
+  'text-davinci-003': { contextWindow: 4097, maxOutputTokens: 4097 },
+  'text-davinci-002': { contextWindow: 4097, maxOutputTokens: 4097 },
+  'code-davinci-002': { contextWindow: 8001, maxOutputTokens: 8001 },
+  'text-davinci-001': { contextWindow: 2049, maxOutputTokens: 2049 },
+  'text-curie-001': { contextWindow: 2049, maxOutputTokens: 2049 },
+  'text-babbage-001': { contextWindow: 2049, maxOutputTokens: 2049 },
+  'text-ada-001': { contextWindow: 2049, maxOutputTokens: 2049 },
+  'davinci': { contextWindow: 2049, maxOutputTokens: 2049 },
+  'curie': { contextWindow: 2049, maxOutputTokens: 2049 },
+  'babbage': { contextWindow: 2049, maxOutputTokens: 2049 },
+  'ada': { contextWindow: 2049, maxOutputTokens: 2049 },
+
+  'text-embedding-ada-002': { contextWindow: 8191, maxOutputTokens: null },
+  'text-embedding-3-small': { contextWindow: 8191, maxOutputTokens: null },
+  'text-embedding-3-large': { contextWindow: 8191, maxOutputTokens: null },
+};
+
+/**
+ * Split a model id into its base model and fine-tune details
+ * @param {string} model - Model id
+ * @returns {{baseModel: string, fineTuned: boolean}}
+ *
+ * @example
+ * parseModelName('ft:gpt-4o-mini-2024-07-18:my-org::abc123');
+ * // { baseModel: 'gpt-4o-mini-2024-07-18', fineTuned: true }
+ */
+export function parseModelName(model) {
+  // Current format: ft:<base model>:<org>:<suffix>:<id>
+  if (model.startsWith('ft:')) {
+    const baseModel = model.split(':')[1];
+    if (baseModel) {
+      return { baseModel, fineTuned: true };
+    }
+  }
+
+  // Legacy format: <base model>:ft-<org>-<date>
+  const legacyIndex = model.indexOf(':ft-');
+  if (legacyIndex > 0) {
+    return { baseModel: model.slice(0, legacyIndex), fineTuned: true };
+  }
+
+  return { baseModel: model, fineTuned: false };
+}
+
+/**
+ * Find the longest key that is a prefix of name
+ * @param {Object} table - Lookup table
+ * @param {string} name - Name to match
+ * @param {string} separator - Appended to each key before matching
+ * @returns {string|null} Matching key
+ */
+function longestPrefix(table, name, separator = '') {
+  let best = null;
+  for (const key of Object.keys(table)) {
+    if (name.startsWith(key + separator) && (!best || key.length > best.length)) {
+      best = key;
+    }
+  }
+  return best;
+}
+
+/**
+ * Resolve the encoding name for a model
+ * @param {string} model - Model id (exact, dated snapshot or fine-tuned)
+ * @returns {string|null} Encoding name, or null if the model is unknown
+ */
+export function encodingNameForModel(model) {
+  if (MODEL_TO_ENCODING[model]) {
+    return MODEL_TO_ENCODING[model];
+  }
+
+  const { baseModel } = parseModelName(model);
+  if (MODEL_TO_ENCODING[baseModel]) {
+    return MODEL_TO_ENCODING[baseModel];
+  }
+
+  const prefix = longestPrefix(MODEL_PREFIX_TO_ENCODING, baseModel);
+  return prefix ? MODEL_PREFIX_TO_ENCODING[prefix] : null;
+}
+
+/**
+ * Get the encoding and request limits for a model
+ * Limits are null when not known for the model (e.g. an unlisted snapshot of
+ * a family with no MODEL_INFO entry).
+ *
+ * @param {string} model - Model id (exact, dated snapshot or fine-tuned)
+ * @returns {{model: string, baseModel: string, fineTuned: boolean, encoding: string,
+ *   contextWindow: number|null, maxOutputTokens: number|null}}
+ * @throws {Error} If no encoding is known for the model
+ *
+ * @example
+ * getModelInfo('ft:gpt-4o-mini:my-org::abc123');
+ * // { model: 'ft:gpt-4o-mini:my-org::abc123', baseModel: 'gpt-4o-mini', fineTuned: true,
+ * //   encoding: 'o200k_base', contextWindow: 128000, maxOutputTokens: 16384 }
+ */
+export function getModelInfo(model) {
+  const encoding = encodingNameForModel(model);
+  if (!encoding) {
+    throw new Error(
+      `No encoding found for model: ${model}. ` +
+      `If this is a new model, you may need to update the registry.`
+    );
+  }
+
+  const { baseModel, fineTuned } = parseModelName(model);
+  const infoKey = MODEL_INFO[baseModel] ? baseModel : longestPrefix(MODEL_INFO, baseModel, '-');
+  const info = infoKey ? MODEL_INFO[infoKey] : null;
+
+  return {
+    model,
+    baseModel,
+    fineTuned,
+    encoding,
+    contextWindow: info ? info.contextWindow : null,
+    maxOutputTokens: info ? info.maxOutputTokens : null,
+  };
+}
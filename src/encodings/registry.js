@@ -6,21 +6,26 @@
  */
 
 import { Encoding } from '../core/encoding.js';
+import { RankTable } from '../core/rank-table.js';
 import { loadTiktokenBpe } from '../loaders/tiktoken-loader.js';
+import { MODEL_TO_ENCODING, encodingNameForModel } from './models.js';
+import { log } from '../diagnostics/logger.js';
 
 // Special tokens used across encodings
 const ENDOFTEXT = '<|endoftext|>';
-const FIM_PREFIX = '<|fim_prefix|>';
-const FIM_MIDDLE = '<|fim_middle|>';
-const FIM_SUFFIX = '<|fim_suffix|>';
+export const FIM_PREFIX = '<|fim_prefix|>';
+export const FIM_MIDDLE = '<|fim_middle|>';
+export const FIM_SUFFIX = '<|fim_suffix|>';
 const ENDOFPROMPT = '<|endofprompt|>';
 
 // Encoding configurations
 // Now using local files to avoid CORS issues
+// Vocabularies ship as compact .tkbin files (scripts/convert-vocab.js); each
+// hash is still the SHA-256 of OpenAI's original .tiktoken file
 export const ENCODING_CONSTRUCTORS = {
   // GPT-4 / GPT-3.5-turbo encodings
   cl100k_base: {
-    url: new URL('../../public/encodings/cl100k_base.tiktoken', import.meta.url).href,
+    url: new URL('../../public/encodings/cl100k_base.tkbin', import.meta.url).href,
     hash: '223921b76ee99bde995b7ff738513eef100fb51d18c93597a113bcffe865b2a7',
     patStr: `'(?i:[sdmt]|ll|ve|re)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s+$|\\s*[\\r\\n]|\\s+(?!\\S)|\\s`,
     specialTokens: {
@@ -35,7 +40,7 @@ export const ENCODING_CONSTRUCTORS = {
 
   // o200k_base (GPT-4o, GPT-4o-mini)
   o200k_base: {
-    url: new URL('../../public/encodings/o200k_base.tiktoken', import.meta.url).href,
+    url: new URL('../../public/encodings/o200k_base.tkbin', import.meta.url).href,
     hash: '446a9538cb6c348e3516120d7c08b09f57c36495e2acfffe59a5bf8b0cfb1a2d',
     patStr: `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?i:'s|'t|'re|'ve|'m|'ll|'d)?|[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?i:'s|'t|'re|'ve|'m|'ll|'d)?|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`,
     specialTokens: {
@@ -47,7 +52,7 @@ export const ENCODING_CONSTRUCTORS = {
 
   // GPT-2 / GPT-3 encodings
   r50k_base: {
-    url: new URL('../../public/encodings/r50k_base.tiktoken', import.meta.url).href,
+    url: new URL('../../public/encodings/r50k_base.tkbin', import.meta.url).href,
     hash: '306cd27f03c1a714eca7108e03d66b7dc042abe8c258b44c199a7ed9838dd930',
     patStr: `'(?:[sdmt]|ll|ve|re)| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+$|\\s+(?!\\S)|\\s`,
     specialTokens: {
@@ -57,7 +62,7 @@ export const ENCODING_CONSTRUCTORS = {
   },
 
   p50k_base: {
-    url: new URL('../../public/encodings/p50k_base.tiktoken', import.meta.url).href,
+    url: new URL('../../public/encodings/p50k_base.tkbin', import.meta.url).href,
     hash: '94b5ca7dff4d00767bc256fdd1b27e5b17361d7b8a5f968547f9f23eb70d2069',
     patStr: `'(?:[sdmt]|ll|ve|re)| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+$|\\s+(?!\\S)|\\s`,
     specialTokens: {
@@ -67,7 +72,7 @@ export const ENCODING_CONSTRUCTORS = {
   },
 
   p50k_edit: {
-    url: new URL('../../public/encodings/p50k_base.tiktoken', import.meta.url).href,
+    url: new URL('../../public/encodings/p50k_base.tkbin', import.meta.url).href,
     hash: '94b5ca7dff4d00767bc256fdd1b27e5b17361d7b8a5f968547f9f23eb70d2069',
     patStr: `'(?:[sdmt]|ll|ve|re)| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+$|\\s+(?!\\S)|\\s`,
     specialTokens: {
@@ -79,80 +84,45 @@ export const ENCODING_CONSTRUCTORS = {
   },
 };
 
-// Model to encoding mapping
-export const MODEL_TO_ENCODING = {
-  // GPT-4o models
-  'gpt-4o': 'o200k_base',
-  'gpt-4o-mini': 'o200k_base',
-  'gpt-4o-2024-08-06': 'o200k_base',
-  'gpt-4o-2024-05-13': 'o200k_base',
-  'gpt-4o-mini-2024-07-18': 'o200k_base',
-  
-  // GPT-4 models (cl100k_base)
-  'gpt-4': 'cl100k_base',
-  'gpt-4-turbo': 'cl100k_base',
-  'gpt-4-turbo-preview': 'cl100k_base',
-  'gpt-4-0125-preview': 'cl100k_base',
-  'gpt-4-1106-preview': 'cl100k_base',
-  'gpt-4-vision-preview': 'cl100k_base',
-  'gpt-4-0314': 'cl100k_base',
-  'gpt-4-0613': 'cl100k_base',
-  'gpt-4-32k': 'cl100k_base',
-  'gpt-4-32k-0314': 'cl100k_base',
-  'gpt-4-32k-0613': 'cl100k_base',
-  
-  // GPT-3.5-turbo models (cl100k_base)
-  'gpt-3.5-turbo': 'cl100k_base',
-  'gpt-3.5-turbo-16k': 'cl100k_base',
-  'gpt-3.5-turbo-0125': 'cl100k_base',
-  'gpt-3.5-turbo-1106': 'cl100k_base',
-  'gpt-3.5-turbo-0613': 'cl100k_base',
-  'gpt-3.5-turbo-16k-0613': 'cl100k_base',
-  'gpt-3.5-turbo-0301': 'cl100k_base',
-  
-  // Older GPT-3 models
-  'text-davinci-003': 'p50k_base',
-  'text-davinci-002': 'p50k_base',
-  'text-davinci-001': 'r50k_base',
-  'text-curie-001': 'r50k_base',
-  'text-babbage-001': 'r50k_base',
-  'text-ada-001': 'r50k_base',
-  'davinci': 'r50k_base',
-  'curie': 'r50k_base',
-  'babbage': 'r50k_base',
-  'ada': 'r50k_base',
-  
-  // Code models
-  'code-davinci-002': 'p50k_base',
-  'code-davinci-001': 'p50k_base',
-  'code-cushman-002': 'p50k_base',
-  'code-cushman-001': 'p50k_base',
-  'davinci-codex': 'p50k_base',
-  'cushman-codex': 'p50k_base',
-  
-  // Embeddings models
-  'text-embedding-ada-002': 'cl100k_base',
-  'text-embedding-3-small': 'cl100k_base',
-  'text-embedding-3-large': 'cl100k_base',
-};
+// Model mappings live in models.js; re-exported here for existing imports
+export { MODEL_TO_ENCODING } from './models.js';
 
 // Cache for loaded encodings
 const encodingCache = new Map();
 
+// Loads in progress, shared by concurrent getEncoding() calls:
+// name -> { promise, listeners: Set<Function> }
+const pendingLoads = new Map();
+
 /**
  * Get an encoding by name
+ * Concurrent calls for the same encoding share one load. Each caller's
+ * onProgress receives the load's events from the moment it joined:
+ * `{ phase: 'download', loaded, total }` in bytes while the vocabulary file is
+ * read (skipped when it comes from the cache), `{ phase: 'parse', loaded, total }`
+ * in bytes of vocabulary data, then `{ phase: 'build', loaded, total }` in
+ * tokens while the Encoding is created. An encoding that is already loaded
+ * reports nothing.
+ *
  * @param {string} encodingName - Name of the encoding (e.g., 'cl100k_base')
+ * @param {Object} options - Load options
+ * @param {Function} options.onProgress - Called with { phase, loaded, total }
  * @returns {Promise<Encoding>} Encoding instance
+ *
+ * @example
+ * const enc = await getEncoding('o200k_base', {
+ *   onProgress: ({ phase, loaded, total }) => console.log(phase, loaded, total),
+ * });
  */
-export async function getEncoding(encodingName) {
+export async function getEncoding(encodingName, options = {}) {
+  const { onProgress = null } = options;
+
   // Check cache
   if (encodingCache.has(encodingName)) {
-    console.log(`Using cached encoding: ${encodingName}`);
+    log.debug(`Using cached encoding: ${encodingName}`);
     return encodingCache.get(encodingName);
   }
 
-  console.log(`Loading encoding: ${encodingName}`);
-
   // Get configuration
   const config = ENCODING_CONSTRUCTORS[encodingName];
   if (!config) {
@@ -162,52 +132,275 @@ export async function getEncoding(encodingName) {
     );
   }
 
+  let pending = pendingLoads.get(encodingName);
+  if (pending) {
+    log.debug(`Waiting for encoding already loading: ${encodingName}`);
+  } else {
+    const listeners = new Set();
+    const emit = (event) => {
+      for (const listener of listeners) {
+        // One caller's failing callback must not break the load for the others
+        try {
+          listener(event);
+        } catch (e) {
+          log.error(`Progress callback for ${encodingName} failed:`, e);
+        }
+      }
+    };
+    pending = {
+      listeners,
+      promise: loadEncoding(encodingName, config, emit).finally(() => pendingLoads.delete(encodingName)),
+    };
+    pendingLoads.set(encodingName, pending);
+  }
+
+  if (onProgress) {
+    pending.listeners.add(onProgress);
+  }
+  return pending.promise;
+}
+
+/**
+ * Load, build and cache an encoding
+ * @param {string} encodingName - Name of the encoding
+ * @param {Object} config - Its ENCODING_CONSTRUCTORS entry
+ * @param {Function} emit - Progress event sink
+ * @returns {Promise<Encoding>} Encoding instance
+ */
+async function loadEncoding(encodingName, config, emit) {
+  log.info(`Loading encoding: ${encodingName}`);
+
   try {
-    console.log(`Step 1: Loading mergeable ranks from ${config.url}`);
-    // Load mergeable ranks
-    const mergeableRanks = await loadTiktokenBpe(config.url, config.hash);
-    console.log(`Step 1 complete: Loaded ${mergeableRanks.size} ranks`);
+    log.debug(`Step 1: Loading mergeable ranks from ${config.url || 'memory'}`);
+    // Load mergeable ranks (registered encodings may provide them in memory)
+    const mergeableRanks = config.mergeableRanks
+      ? RankTable.from(config.mergeableRanks)
+      : await loadTiktokenBpe(config.url, config.hash, { onProgress: emit, name: encodingName });
+    log.debug(`Step 1 complete: Loaded ${mergeableRanks.size} ranks`);
+    
+    // Special token ids must not reuse an ordinary token's rank
+    validateSpecialTokens(encodingName, mergeableRanks, config.specialTokens);
 
-    console.log(`Step 2: Creating Encoding object`);
+    log.debug(`Step 2: Creating Encoding object`);
     // Create encoding
+    emit({ phase: 'build', loaded: 0, total: mergeableRanks.size });
     const encoding = new Encoding(
       encodingName,
       config.patStr,
       mergeableRanks,
       config.specialTokens
     );
-    console.log(`Step 2 complete: Encoding created`);
+    emit({ phase: 'build', loaded: mergeableRanks.size, total: mergeableRanks.size });
+    log.debug(`Step 2 complete: Encoding created`);
 
-    console.log(`Step 3: Verifying vocab size`);
+    log.debug(`Step 3: Verifying vocab size`);
     // Verify vocab size if specified
     if (config.explicitNVocab) {
       const actualVocabSize = mergeableRanks.size + Object.keys(config.specialTokens).length;
       if (actualVocabSize !== config.explicitNVocab) {
-        console.warn(
+        log.warn(
           `Vocab size mismatch for ${encodingName}: ` +
           `expected ${config.explicitNVocab}, got ${actualVocabSize}`
         );
       }
     }
-    console.log(`Step 3 complete: Vocab size verified`);
+    log.debug(`Step 3 complete: Vocab size verified`);
 
     // Cache and return
     encodingCache.set(encodingName, encoding);
-    console.log(`Encoding ${encodingName} ready!`);
+    log.info(`Encoding ${encodingName} ready!`);
     return encoding;
   } catch (error) {
-    console.error(`Failed to load encoding ${encodingName}:`, error);
+    log.error(`Failed to load encoding ${encodingName}:`, error);
     throw error;
   }
 }
 
+/**
+ * Load several encodings ahead of time (e.g. during a splash screen)
+ * The encodings load in parallel; later getEncoding() calls return them
+ * immediately.
+ *
+ * @param {string[]} names - Encoding names
+ * @param {Object} options - Load options
+ * @param {Function} options.onProgress - Called with { encoding, phase, loaded, total }
+ *   for every encoding (see getEncoding for the phases)
+ * @returns {Promise<Encoding[]>} Encodings in the order given
+ * @throws {Error} If a name is unknown or a load fails
+ *
+ * @example
+ * await preloadEncodings(['o200k_base', 'cl100k_base'], {
+ *   onProgress: ({ encoding, phase, loaded, total }) => updateSplash(encoding, phase, loaded / total),
+ * });
+ */
+export async function preloadEncodings(names, options = {}) {
+  const { onProgress = null } = options;
+
+  if (!Array.isArray(names)) {
+    throw new Error('preloadEncodings needs an array of encoding names');
+  }
+
+  return Promise.all(names.map(name => getEncoding(name, {
+    onProgress: onProgress && (event => onProgress({ encoding: name, ...event })),
+  })));
+}
+
+// ==================== Custom Encodings ====================
+
+/**
+ * Check special token ids: non-negative integers, unique, and not the rank
+ * of an ordinary token (encode and decode would disagree on that id)
+ * @param {string} encodingName - Encoding name (for error messages)
+ * @param {RankTable|null} mergeableRanks - Ordinary token ranks (null = skip the rank check)
+ * @param {Object<string, number>} specialTokens - Special token strings to ids
+ * @throws {Error} On an invalid or colliding id
+ */
+function validateSpecialTokens(encodingName, mergeableRanks, specialTokens) {
+  const seenIds = new Map();
+
+  for (const [token, id] of Object.entries(specialTokens)) {
+    if (!token) {
+      throw new Error(`Special tokens in ${encodingName} must be non-empty strings`);
+    }
+    if (!Number.isInteger(id) || id < 0) {
+      throw new Error(`Special token ${token} in ${encodingName} has invalid id ${id}: ids must be non-negative integers`);
+    }
+    if (seenIds.has(id)) {
+      throw new Error(
+        `Special tokens ${seenIds.get(id)} and ${token} in ${encodingName} both use id ${id}. ` +
+        `Each special token needs its own id.`
+      );
+    }
+    seenIds.set(id, token);
+
+    const bytes = mergeableRanks?.getBytes(id);
+    if (bytes) {
+      throw new Error(
+        `Special token ${token} in ${encodingName} uses id ${id}, which is already the rank of ` +
+        `ordinary token ${JSON.stringify(new TextDecoder().decode(bytes))}. ` +
+        `Pick an id above ${mergeableRanks.maxRank} or in a gap of the vocabulary.`
+      );
+    }
+  }
+}
+
+/**
+ * Register a custom encoding so getEncoding() can load it
+ * The vocabulary comes from a URL (.tiktoken or .tkbin, loaded and cached like
+ * the built-in encodings) or from ranks already in memory.
+ *
+ * Registrations apply to the current thread only: an AsyncEncoding worker
+ * has its own registry and only knows the built-in encodings.
+ *
+ * @param {string} name - Encoding name (must not already be registered)
+ * @param {Object} config - Encoding configuration
+ * @param {string} [config.url] - URL (or local path under Node.js) of the vocabulary file
+ * @param {string} [config.hash] - Expected SHA-256 of the .tiktoken file; also enables caching
+ * @param {RankTable|Map<string|Uint8Array, number>} [config.mergeableRanks] - In-memory vocabulary
+ *   instead of a URL (Map keys are base64 strings or byte arrays)
+ * @param {string} config.patStr - Regex pattern for text splitting
+ * @param {Object<string, number>} [config.specialTokens] - Special token strings to ids
+ * @param {number} [config.explicitNVocab] - Expected vocabulary size (warns on mismatch)
+ * @throws {Error} If the name is taken or the configuration is invalid
+ *
+ * @example
+ * registerEncoding('my_base', {
+ *   url: 'https://example.com/my_base.tiktoken',
+ *   hash: '…',
+ *   patStr: ENCODING_CONSTRUCTORS.cl100k_base.patStr,
+ *   specialTokens: { '<|endoftext|>': 100257 },
+ * });
+ * const enc = await getEncoding('my_base');
+ */
+export function registerEncoding(name, config) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Encoding name must be a non-empty string');
+  }
+  if (ENCODING_CONSTRUCTORS[name]) {
+    throw new Error(
+      `Encoding ${name} is already registered. ` +
+      `Use a different name, or extendEncoding() to derive a variant of it.`
+    );
+  }
+  if (!config || (config.url === undefined) === (config.mergeableRanks === undefined)) {
+    throw new Error(`Encoding ${name} needs exactly one vocabulary source: url or mergeableRanks`);
+  }
+  if (typeof config.patStr !== 'string' || !config.patStr) {
+    throw new Error(`Encoding ${name} needs a patStr (the regex used to split text before BPE)`);
+  }
+
+  const specialTokens = { ...(config.specialTokens || {}) };
+  // In-memory ranks can be checked now; URL vocabularies are checked when loaded
+  const mergeableRanks = config.mergeableRanks !== undefined
+    ? RankTable.from(config.mergeableRanks)
+    : undefined;
+  validateSpecialTokens(name, mergeableRanks || null, specialTokens);
+
+  ENCODING_CONSTRUCTORS[name] = {
+    url: config.url,
+    hash: config.hash,
+    mergeableRanks,
+    patStr: config.patStr,
+    specialTokens,
+    explicitNVocab: config.explicitNVocab,
+  };
+  log.info(`Registered encoding: ${name}`);
+}
+
+/**
+ * Derive an encoding from a registered one with extra special tokens
+ * The new encoding shares the base vocabulary and split pattern; only the
+ * special tokens differ.
+ *
+ * @param {string} baseName - Encoding to extend (loaded if needed)
+ * @param {string} newName - Name for the new encoding
+ * @param {Object} options - Extension options
+ * @param {Object<string, number>} options.specialTokens - Special tokens to add
+ * @returns {Promise<Encoding>} The new encoding (also available via getEncoding(newName))
+ * @throws {Error} If a new id collides with an ordinary token's rank or another special token,
+ *   or a special token of the base is given a different id
+ *
+ * @example
+ * const enc = await extendEncoding('cl100k_base', 'cl100k_im', {
+ *   specialTokens: { '<|im_start|>': 100264, '<|im_end|>': 100265, '<|im_sep|>': 100266 },
+ * });
+ * enc.encode('<|im_start|>user', { allowedSpecial: 'all' });
+ */
+export async function extendEncoding(baseName, newName, options = {}) {
+  if (ENCODING_CONSTRUCTORS[newName]) {
+    throw new Error(`Encoding ${newName} is already registered. Use a different name for the extended encoding.`);
+  }
+
+  const base = await getEncoding(baseName);
+  const added = options.specialTokens || {};
+
+  for (const [token, id] of Object.entries(added)) {
+    const existing = base._specialTokens[token];
+    if (existing !== undefined && existing !== id) {
+      throw new Error(
+        `Special token ${token} already has id ${existing} in ${baseName}; ` +
+        `it cannot be given id ${id} in ${newName}`
+      );
+    }
+  }
+
+  registerEncoding(newName, {
+    mergeableRanks: base._mergeableRanks,
+    patStr: base._patStr,
+    specialTokens: { ...base._specialTokens, ...added },
+  });
+
+  return getEncoding(newName);
+}
+
 /**
  * Get encoding for a specific model
- * @param {string} modelName - Model name (e.g., 'gpt-4')
+ * Accepts exact names, dated snapshots (matched by prefix) and fine-tuned ids.
+ * @param {string} modelName - Model name (e.g., 'gpt-4', 'gpt-4o-2024-11-20', 'ft:gpt-4o-mini:org::abc')
  * @returns {Promise<Encoding>} Encoding instance
  */
 export async function encodingForModel(modelName) {
-  const encodingName = MODEL_TO_ENCODING[modelName];
+  const encodingName = encodingNameForModel(modelName);
   
   if (!encodingName) {
     throw new Error(
@@ -13,20 +13,106 @@
 // Re-export core classes
 export { Encoding } from './core/encoding.js';
 export { BytePairEncoder } from './core/bpe.js';
+export { RankTable } from './core/rank-table.js';
+export { Vocabulary } from './core/vocabulary.js';
+
+// Re-export worker-backed encoding
+export { AsyncEncoding } from './worker/async-encoding.js';
+
+// Re-export logging and performance statistics
+export { setLogger, setLogLevel, getLogLevel, LOG_LEVELS } from './diagnostics/logger.js';
+export {
+  enableStats,
+  getStats,
+  resetStats,
+  addStatsListener,
+  removeStatsListener,
+  TIMING_PHASES,
+} from './diagnostics/stats.js';
 
 // Re-export loader functions
-export { loadTiktokenBpe, clearCache, isCacheAvailable } from './loaders/tiktoken-loader.js';
+export {
+  loadTiktokenBpe,
+  clearCache,
+  isCacheAvailable,
+  listCachedEncodings,
+  evictEncoding,
+  setCacheQuota,
+  getCacheQuota,
+} from './loaders/tiktoken-loader.js';
+export { CACHE_SCHEMA_VERSION } from './loaders/cache-schema.js';
+
+// Re-export offline support (service worker control)
+export {
+  registerOfflineSupport,
+  setOfflineEncodings,
+  getOfflineEncodings,
+  isOfflineSupported,
+  DEFAULT_OFFLINE_ENCODINGS,
+} from './offline/offline.js';
+
+// Re-export vocabulary format helpers
+export {
+  convertTiktokenToBinary,
+  encodeBinaryVocabulary,
+  decodeBinaryVocabulary,
+  serializeTiktoken,
+} from './loaders/vocab-format.js';
+
+// Re-export streaming encoder and decoder
+export { StreamingEncoder, TokenEncoderStream } from './streaming/stream-encoder.js';
+export { StreamingDecoder, TokenDecoderStream } from './streaming/stream-decoder.js';
+
+// Re-export chat helpers
+export { countChatTokens, getChatOverhead, CHAT_MESSAGE_OVERHEAD } from './chat/chat-tokens.js';
+
+// Re-export fill-in-the-middle prompt builder
+export { buildFimPrompt } from './prompts/fim-prompt.js';
+
+// Re-export context budget allocator
+export { allocateContext } from './prompts/context-budget.js';
+
+// Re-export encoding comparison
+export { compareEncodings } from './analysis/compare-encodings.js';
+
+// Re-export corpus statistics
+export { analyzeCorpus, exportCorpusStats, CORPUS_SCRIPTS } from './analysis/corpus-stats.js';
+
+// Re-export BPE trainer
+export { trainBpe } from './training/bpe-trainer.js';
+
+// Re-export cost estimation
+export {
+  estimateCost,
+  calculateCost,
+  getModelPricing,
+  setModelPricing,
+  resetModelPricing,
+  MODEL_PRICING,
+} from './pricing/pricing.js';
 
 // Re-export registry functions
 export {
   getEncoding,
+  preloadEncodings,
   encodingForModel,
+  registerEncoding,
+  extendEncoding,
   listEncodingNames,
   listModelNames,
   ENCODING_CONSTRUCTORS,
-  MODEL_TO_ENCODING,
 } from './encodings/registry.js';
 
+// Re-export model registry
+export {
+  getModelInfo,
+  parseModelName,
+  encodingNameForModel,
+  MODEL_TO_ENCODING,
+  MODEL_PREFIX_TO_ENCODING,
+  MODEL_INFO,
+} from './encodings/models.js';
+
 /**
  * Quick token counting utility
  * @param {string} text - Text to count tokens for
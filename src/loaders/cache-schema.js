@@ -0,0 +1,25 @@
+/**
+ * Vocabulary Cache Schema
+ * Shared by the IndexedDB cache (browsers) and the filesystem cache (Node.js)
+ */
+
+/**
+ * Version of the cache layout and entry format
+ * Bump it (and add a migration) whenever cached data would no longer be read
+ * correctly; entries written under another version are never served.
+ *
+ * History:
+ *   1  Entries keyed by file name only
+ *   2  Entries keyed by source URL plus hash, with size and usage timestamps
+ */
+export const CACHE_SCHEMA_VERSION = 2;
+
+/**
+ * Cache key for a vocabulary: its full source URL and expected hash
+ * @param {string} url - Source URL (or local path)
+ * @param {string} hash - Expected SHA-256 hash
+ * @returns {string}
+ */
+export function cacheKey(url, hash) {
+  return `${url}#${hash}`;
+}
@@ -0,0 +1,324 @@
+/**
+ * Node.js Loader Backend
+ * Based on tiktoken's load.py (read_file / read_file_cached)
+ *
+ * Reads vocabulary files from the local filesystem and caches parsed ranks
+ * in an on-disk directory. Node built-ins are imported lazily so this module
+ * can still be bundled into browser pages without side effects.
+ */
+
+import { log } from '../diagnostics/logger.js';
+import { CACHE_SCHEMA_VERSION } from './cache-schema.js';
+
+/**
+ * Check if we are running under Node.js
+ * @returns {boolean}
+ */
+export function isNodeRuntime() {
+  return typeof process !== 'undefined' && !!process.versions?.node;
+}
+
+/**
+ * Check if a vocabulary location should be read from the filesystem
+ * Accepts `file:` URLs and plain paths (absolute or relative to the cwd)
+ * @param {string} url - URL or path
+ * @returns {boolean}
+ */
+export function isLocalPath(url) {
+  if (url.startsWith('file:')) return true;
+  // Windows drive letters look like a URL scheme ("C:\...")
+  if (/^[a-zA-Z]:[\\/]/.test(url)) return true;
+  return !/^[a-zA-Z][a-zA-Z\d+.-]*:/.test(url);
+}
+
+/**
+ * Resolve a `file:` URL or path to an absolute filesystem path
+ * @param {string} url - URL or path
+ * @returns {Promise<string>} Absolute path
+ */
+async function toFilePath(url) {
+  const { fileURLToPath } = await import('node:url');
+  const path = await import('node:path');
+  return url.startsWith('file:') ? fileURLToPath(url) : path.resolve(url);
+}
+
+/**
+ * Read a vocabulary file from disk
+ * @param {string} url - `file:` URL or local path
+ * @returns {Promise<Uint8Array>} File contents
+ */
+export async function readLocalFile(url) {
+  const { readFile } = await import('node:fs/promises');
+  const filePath = await toFilePath(url);
+
+  try {
+    const buffer = await readFile(filePath);
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  } catch (e) {
+    throw new Error(`Failed to read ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Compute SHA-256 hash with node:crypto
+ * Used when Web Crypto (crypto.subtle) is not exposed as a global
+ * @param {string|Uint8Array} data - Data to hash (strings are hashed as UTF-8)
+ * @returns {Promise<string>} Hex hash string
+ */
+export async function nodeSha256(data) {
+  const { createHash } = await import('node:crypto');
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Filesystem cache for parsed encoding data
+ * Mirrors the interface of the IndexedDB EncodingCache (get/set/list/delete/clear)
+ *
+ * Each entry is one file: a 4-byte header length, a JSON header, then the
+ * payload (raw bytes for ArrayBuffer/Uint8Array data, JSON otherwise). The
+ * header holds the entry key (source URL plus hash), the schema version and a
+ * checksum of the payload, so stale or corrupted entries are ignored. The
+ * file's modification time records when the entry was last used.
+ *
+ * The directory defaults to `$TOKEN_TOTAL_CACHE_DIR`, falling back to
+ * `<tmpdir>/token-total-cache`. Setting the variable to an empty string
+ * disables the cache (same convention as tiktoken's TIKTOKEN_CACHE_DIR).
+ */
+export class FileSystemCache {
+  /**
+   * @param {string|null} [dir] - Cache directory (null = use the default)
+   */
+  constructor(dir = null) {
+    this.dir = dir;
+  }
+
+  /**
+   * Resolve the cache directory
+   * @returns {Promise<string|null>} Directory path, or null if caching is disabled
+   */
+  async getDirectory() {
+    if (this.dir !== null) return this.dir;
+
+    const envDir = process.env.TOKEN_TOTAL_CACHE_DIR;
+    if (envDir !== undefined) {
+      return envDir === '' ? null : envDir;
+    }
+
+    const os = await import('node:os');
+    const path = await import('node:path');
+    return path.join(os.tmpdir(), 'token-total-cache');
+  }
+
+  /**
+   * Get the file path for a cache entry
+   * The file name keeps the vocabulary's base name for readability; a digest
+   * of the full key keeps same-named vocabularies apart.
+   * @private
+   */
+  async _entryPath(key) {
+    const dir = await this.getDirectory();
+    if (!dir) return null;
+
+    const path = await import('node:path');
+    const baseName = key.slice(0, key.lastIndexOf('#')).split(/[\\/]/).pop();
+    const safeName = baseName.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const digest = (await nodeSha256(key)).slice(0, 16);
+    return path.join(dir, `${safeName}-${digest}.cache`);
+  }
+
+  /**
+   * Read an entry's header without its payload
+   * @private
+   * @returns {Promise<Object|null>} Header, or null if unreadable
+   */
+  async _readHeader(filePath) {
+    const { open } = await import('node:fs/promises');
+    let handle;
+    try {
+      handle = await open(filePath, 'r');
+      const lengthBuffer = Buffer.alloc(4);
+      await handle.read(lengthBuffer, 0, 4, 0);
+      const headerBuffer = Buffer.alloc(lengthBuffer.readUInt32LE(0));
+      await handle.read(headerBuffer, 0, headerBuffer.length, 4);
+      return JSON.parse(headerBuffer.toString('utf8'));
+    } catch (e) {
+      return null;
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  /**
+   * Get cached encoding data and mark the entry as used
+   * @param {string} key - Entry key (cacheKey(url, hash))
+   * @returns {Promise<ArrayBuffer|Object|null>} Cached data or null
+   */
+  async get(key) {
+    const entryPath = await this._entryPath(key);
+    if (!entryPath) return null;
+
+    const { readFile, utimes } = await import('node:fs/promises');
+    let header;
+    let payload;
+    try {
+      const file = await readFile(entryPath);
+      const headerLength = file.readUInt32LE(0);
+      header = JSON.parse(file.toString('utf8', 4, 4 + headerLength));
+      payload = file.subarray(4 + headerLength);
+    } catch (e) {
+      // Missing or unreadable entry is a cache miss
+      return null;
+    }
+
+    if (!header || header.key !== key || header.schema !== CACHE_SCHEMA_VERSION) {
+      return null;
+    }
+
+    const payloadHash = await nodeSha256(payload);
+    if (payloadHash !== header.payloadHash) {
+      log.warn(`Cache entry ${entryPath} failed verification, ignoring it`);
+      return null;
+    }
+
+    try {
+      const time = new Date();
+      await utimes(entryPath, time, time);
+    } catch (e) {
+      // Usage time is only a hint for eviction
+    }
+
+    if (header.binary) {
+      return payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength);
+    }
+    return JSON.parse(payload.toString('utf8'));
+  }
+
+  /**
+   * Store encoding data in cache
+   * Writes to a temporary file first so concurrent readers never see a partial entry
+   * @param {string} key - Entry key (cacheKey(url, hash))
+   * @param {ArrayBuffer|Uint8Array|Object} data - Data to cache
+   * @param {Object} meta - Entry metadata
+   * @param {string} meta.url - Source URL
+   * @param {string} meta.hash - SHA-256 hash of the source file
+   * @param {string|null} meta.encoding - Encoding name, if known
+   */
+  async set(key, data, meta) {
+    const entryPath = await this._entryPath(key);
+    if (!entryPath) return;
+
+    const { mkdir, writeFile, rename } = await import('node:fs/promises');
+    const path = await import('node:path');
+
+    const binary = data instanceof ArrayBuffer || data instanceof Uint8Array;
+    const payload = binary
+      ? Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data)
+      : Buffer.from(JSON.stringify(data), 'utf8');
+
+    const header = Buffer.from(JSON.stringify({
+      key,
+      url: meta.url,
+      hash: meta.hash,
+      encoding: meta.encoding || null,
+      binary,
+      size: payload.length,
+      payloadHash: await nodeSha256(payload),
+      createdAt: Date.now(),
+      schema: CACHE_SCHEMA_VERSION,
+    }), 'utf8');
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32LE(header.length, 0);
+
+    await mkdir(path.dirname(entryPath), { recursive: true });
+    const tmpPath = `${entryPath}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tmpPath, Buffer.concat([headerLength, header, payload]));
+    await rename(tmpPath, entryPath);
+  }
+
+  /**
+   * List metadata of every entry
+   * Entries written under another schema version are deleted on the way.
+   * @returns {Promise<Object[]>} Entries ({ key, url, hash, encoding, size, createdAt, lastUsed, schema })
+   */
+  async list() {
+    const dir = await this.getDirectory();
+    if (!dir) return [];
+
+    const { readdir, stat, unlink } = await import('node:fs/promises');
+    const path = await import('node:path');
+
+    let files;
+    try {
+      files = await readdir(dir);
+    } catch (e) {
+      return [];
+    }
+
+    const entries = [];
+    for (const file of files) {
+      if (!file.endsWith('.cache')) continue;
+      const filePath = path.join(dir, file);
+      const header = await this._readHeader(filePath);
+
+      if (!header || header.schema !== CACHE_SCHEMA_VERSION) {
+        await unlink(filePath).catch(() => {});
+        continue;
+      }
+
+      let info;
+      try {
+        info = await stat(filePath);
+      } catch (e) {
+        continue;  // Removed by another process meanwhile
+      }
+      entries.push({
+        key: header.key,
+        url: header.url,
+        hash: header.hash,
+        encoding: header.encoding,
+        size: header.size,
+        createdAt: header.createdAt,
+        lastUsed: info.mtimeMs,
+        schema: header.schema,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} key - Entry key
+   */
+  async delete(key) {
+    const entryPath = await this._entryPath(key);
+    if (!entryPath) return;
+
+    const { unlink } = await import('node:fs/promises');
+    await unlink(entryPath).catch(() => {});
+  }
+
+  /**
+   * Clear all cached data
+   */
+  async clear() {
+    const dir = await this.getDirectory();
+    if (!dir) return;
+
+    const { readdir, unlink } = await import('node:fs/promises');
+    const path = await import('node:path');
+
+    let files;
+    try {
+      files = await readdir(dir);
+    } catch (e) {
+      return;
+    }
+
+    // .json files are entries from the older JSON-only cache format
+    for (const file of files) {
+      if (file.endsWith('.cache') || file.endsWith('.json') || file.endsWith('.tmp')) {
+        await unlink(path.join(dir, file));
+      }
+    }
+  }
+}
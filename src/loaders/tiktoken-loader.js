@@ -2,19 +2,53 @@
  * Tiktoken File Loader with IndexedDB Caching
  * Based on tiktoken's load.py
  * 
- * Handles loading .tiktoken files from URLs and caching them in browser storage
+ * Handles loading vocabulary files from URLs and caching them in browser storage.
+ * Accepts both .tiktoken text and the compact .tkbin binary format (see vocab-format.js).
+ * Under Node.js, `file:` URLs and local paths are read from disk and parsed
+ * ranks are cached in an on-disk directory instead (see node-backend.js).
  */
 
-import { BytePairEncoder } from '../core/bpe.js';
+import {
+  isNodeRuntime,
+  isLocalPath,
+  readLocalFile,
+  nodeSha256,
+  FileSystemCache,
+} from './node-backend.js';
+import { RankTable } from '../core/rank-table.js';
+import { log } from '../diagnostics/logger.js';
+import { isStatsEnabled, now, recordTiming } from '../diagnostics/stats.js';
+import {
+  isBinaryVocabulary,
+  parseTiktoken,
+  serializeTiktokenBytes,
+  encodeBinaryVocabulary,
+  decodeBinaryVocabulary,
+} from './vocab-format.js';
+import { CACHE_SCHEMA_VERSION, cacheKey } from './cache-schema.js';
+
+// Default cache size limit; least recently used entries are evicted beyond it
+const DEFAULT_CACHE_QUOTA = 64 * 1024 * 1024;
+
+let cacheQuota = DEFAULT_CACHE_QUOTA;
 
 /**
  * IndexedDB wrapper for caching encoding data
+ *
+ * Entries are keyed by source URL plus hash (see cacheKey), so two
+ * vocabularies with the same file name never collide. Metadata (sizes and
+ * timestamps) and payloads live in separate stores: listing the cache and
+ * recording a cache hit never read or rewrite the vocabulary itself.
+ *
+ * The database version is CACHE_SCHEMA_VERSION. Opening an older database
+ * runs every migration above its version in order; each entry also records
+ * the schema it was written with, and entries from another schema are misses.
  */
 class EncodingCache {
   constructor() {
     this.dbName = 'TokenTotalCache';
-    this.storeName = 'encodings';
-    this.version = 1;
+    this.entryStore = 'entries';
+    this.payloadStore = 'payloads';
     this.db = null;
   }
 
@@ -25,65 +59,123 @@ class EncodingCache {
     if (this.db) return;
 
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.version);
+      const request = indexedDB.open(this.dbName, CACHE_SCHEMA_VERSION);
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer page upgrade the schema instead of blocking it
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
         resolve();
       };
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          db.createObjectStore(this.storeName, { keyPath: 'name' });
+        for (let version = event.oldVersion + 1; version <= CACHE_SCHEMA_VERSION; version++) {
+          const migrate = IDB_MIGRATIONS[version];
+          if (migrate) migrate(db, this);
         }
       };
     });
   }
 
   /**
-   * Get cached encoding data
-   * @param {string} name - Encoding name
-   * @param {string} expectedHash - Expected SHA-256 hash
-   * @returns {Promise<Object|null>} Cached data or null
+   * Run one request in a transaction and resolve with its result
+   * @private
    */
-  async get(name, expectedHash) {
+  async _request(storeNames, mode, makeRequest) {
     await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readonly');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.get(name);
+      const transaction = this.db.transaction(storeNames, mode);
+      const request = makeRequest(transaction);
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const result = request.result;
-        if (result && result.hash === expectedHash) {
-          resolve(result.data);
-        } else {
-          resolve(null);
-        }
+  /**
+   * Get cached encoding data and mark the entry as used
+   * @param {string} key - Entry key (cacheKey(url, hash))
+   * @returns {Promise<ArrayBuffer|null>} Cached data or null
+   */
+  async get(key) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.entryStore, this.payloadStore], 'readwrite');
+      const entries = transaction.objectStore(this.entryStore);
+      let data = null;
+
+      const entryRequest = entries.get(key);
+      entryRequest.onsuccess = () => {
+        const entry = entryRequest.result;
+        if (!entry || entry.schema !== CACHE_SCHEMA_VERSION) return;
+
+        const payloadRequest = transaction.objectStore(this.payloadStore).get(key);
+        payloadRequest.onsuccess = () => {
+          if (!payloadRequest.result) return;
+          data = payloadRequest.result.data;
+          entries.put({ ...entry, lastUsed: Date.now() });
+        };
       };
+
+      transaction.oncomplete = () => resolve(data);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
     });
   }
 
   /**
    * Store encoding data in cache
-   * @param {string} name - Encoding name
-   * @param {Object} data - Data to cache
-   * @param {string} hash - SHA-256 hash
+   * @param {string} key - Entry key (cacheKey(url, hash))
+   * @param {ArrayBuffer} data - Data to cache
+   * @param {Object} meta - Entry metadata
+   * @param {string} meta.url - Source URL
+   * @param {string} meta.hash - SHA-256 hash of the source file
+   * @param {string|null} meta.encoding - Encoding name, if known
    */
-  async set(name, data, hash) {
-    await this.init();
+  async set(key, data, meta) {
+    const time = Date.now();
+    const entry = {
+      key,
+      url: meta.url,
+      hash: meta.hash,
+      encoding: meta.encoding || null,
+      size: data.byteLength,
+      createdAt: time,
+      lastUsed: time,
+      schema: CACHE_SCHEMA_VERSION,
+    };
+
+    await this._request([this.entryStore, this.payloadStore], 'readwrite', (transaction) => {
+      transaction.objectStore(this.payloadStore).put({ key, data });
+      return transaction.objectStore(this.entryStore).put(entry);
+    });
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.put({ name, data, hash, timestamp: Date.now() });
+  /**
+   * List metadata of every entry
+   * @returns {Promise<Object[]>} Entries ({ key, url, hash, encoding, size, createdAt, lastUsed, schema })
+   */
+  async list() {
+    return this._request([this.entryStore], 'readonly', (transaction) => (
+      transaction.objectStore(this.entryStore).getAll()
+    ));
+  }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
+  /**
+   * Remove one entry
+   * @param {string} key - Entry key
+   */
+  async delete(key) {
+    await this._request([this.entryStore, this.payloadStore], 'readwrite', (transaction) => {
+      transaction.objectStore(this.payloadStore).delete(key);
+      return transaction.objectStore(this.entryStore).delete(key);
     });
   }
 
@@ -91,70 +183,154 @@ class EncodingCache {
    * Clear all cached data
    */
   async clear() {
-    await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.clear();
-
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
+    await this._request([this.entryStore, this.payloadStore], 'readwrite', (transaction) => {
+      transaction.objectStore(this.payloadStore).clear();
+      return transaction.objectStore(this.entryStore).clear();
     });
   }
 }
 
-// Global cache instance
-const encodingCache = new EncodingCache();
+/**
+ * IndexedDB migrations, by the version they upgrade to
+ * Version 1 stored whole entries keyed by file name only; those entries could
+ * belong to a different vocabulary with the same file name, so they are dropped.
+ */
+const IDB_MIGRATIONS = {
+  2: (db, cache) => {
+    if (db.objectStoreNames.contains('encodings')) {
+      db.deleteObjectStore('encodings');
+    }
+    db.createObjectStore(cache.entryStore, { keyPath: 'key' });
+    db.createObjectStore(cache.payloadStore, { keyPath: 'key' });
+  },
+};
+
+// Global cache instance - IndexedDB in browsers, filesystem under Node.js
+const encodingCache = isNodeRuntime() ? new FileSystemCache() : new EncodingCache();
 
 /**
  * Compute SHA-256 hash of data
- * @param {string} data - Data to hash
+ * @param {string|Uint8Array} data - Data to hash (strings are hashed as UTF-8)
  * @returns {Promise<string>} Hex hash string
  */
-async function sha256(data) {
-  const encoder = new TextEncoder();
-  const dataBuffer = encoder.encode(data);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer);
+export async function sha256(data) {
+  if (typeof globalThis.crypto?.subtle === 'undefined' && isNodeRuntime()) {
+    return nodeSha256(data);
+  }
+
+  const dataBuffer = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const hashBuffer = await globalThis.crypto.subtle.digest('SHA-256', dataBuffer);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
 /**
- * Load a .tiktoken file from URL with caching
- * @param {string} url - URL to .tiktoken file
- * @param {string} expectedHash - Expected SHA-256 hash (optional but recommended)
- * @returns {Promise<Map<string, number>>} Map of byte sequences to ranks
+ * Run a loading step, recording its duration when stats are enabled
+ * @param {string} phase - Timing phase ('download', 'hash' or 'parse')
+ * @param {Object} detail - Event detail (file, bytes)
+ * @param {Function} step - Sync or async function to run
+ * @returns {Promise<*>} The step's result
  */
-export async function loadTiktokenBpe(url, expectedHash = null) {
-  const cacheName = url.split('/').pop();
+async function timeStep(phase, detail, step) {
+  if (!isStatsEnabled()) return step();
+  const start = now();
+  const result = await step();
+  recordTiming(phase, now() - start, detail);
+  return result;
+}
 
-  // Try cache first
-  if (expectedHash) {
-    try {
-      const cached = await encodingCache.get(cacheName, expectedHash);
-      if (cached) {
-        console.log(`Loaded ${cacheName} from cache`);
-        return new Map(cached);
-      }
-    } catch (e) {
-      console.warn('Cache read failed:', e);
-    }
+/**
+ * Read a vocabulary file as bytes
+ * Uses the filesystem for `file:` URLs and local paths under Node.js,
+ * and fetch() everywhere else. The response body is streamed so download
+ * progress can be reported; `total` is null when the server does not send
+ * an uncompressed Content-Length.
+ * @param {string} url - URL or path to the file
+ * @param {Function} report - Progress callback (phase, loaded, total)
+ * @returns {Promise<Uint8Array>} File contents
+ */
+async function readVocabularyFile(url, report) {
+  if (isNodeRuntime() && isLocalPath(url)) {
+    const bytes = await readLocalFile(url);
+    report('download', bytes.length, bytes.length);
+    return bytes;
   }
 
-  // Fetch from network
-  console.log(`Fetching ${cacheName} from ${url}`);
   const response = await fetch(url);
   
   if (!response.ok) {
     throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
   }
 
-  const text = await response.text();
+  // Content-Length counts compressed bytes when the body is encoded
+  const contentEncoding = response.headers.get('content-encoding');
+  const total = (!contentEncoding || contentEncoding === 'identity')
+    ? Number(response.headers.get('content-length')) || null
+    : null;
+
+  if (!response.body) {
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    report('download', bytes.length, bytes.length);
+    return bytes;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  report('download', 0, total);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    report('download', loaded, total);
+  }
+
+  if (chunks.length === 1) return chunks[0];
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Rebuild ranks from a cache entry
+ * Entries are binary vocabularies; older entries are [base64, rank] pairs.
+ * @param {ArrayBuffer|Uint8Array|Array} cached - Cached data
+ * @returns {RankTable}
+ */
+function ranksFromCache(cached) {
+  if (Array.isArray(cached)) {
+    return RankTable.fromEntries(cached, cached.length);
+  }
+  return decodeBinaryVocabulary(cached).ranks;
+}
+
+/**
+ * Parse a binary vocabulary and verify it against the original file's hash
+ * The embedded source hash must match, and the canonical .tiktoken text
+ * rebuilt from the ranks must hash to the same value.
+ * @param {Uint8Array} bytes - Binary file contents
+ * @param {string|null} expectedHash - Expected SHA-256 of the original .tiktoken file
+ * @param {string} url - Source URL (for error messages)
+ * @returns {Promise<RankTable>}
+ */
+async function loadBinaryVocabulary(bytes, expectedHash, url) {
+  const detail = { file: url, bytes: bytes.length };
+  const { ranks, sourceHash } = await timeStep('parse', detail, () => decodeBinaryVocabulary(bytes));
 
-  // Verify hash if provided
   if (expectedHash) {
-    const actualHash = await sha256(text);
+    if (sourceHash !== expectedHash) {
+      throw new Error(
+        `Hash mismatch for ${url}. Expected ${expectedHash}, ` +
+        `but the binary vocabulary was built from ${sourceHash || 'an unknown source'}.`
+      );
+    }
+
+    const actualHash = await timeStep('hash', detail, () => sha256(serializeTiktokenBytes(ranks)));
     if (actualHash !== expectedHash) {
       throw new Error(
         `Hash mismatch for ${url}. Expected ${expectedHash}, got ${actualHash}. ` +
@@ -163,58 +339,196 @@ export async function loadTiktokenBpe(url, expectedHash = null) {
     }
   }
 
-  // Parse .tiktoken format: base64_token rank
-  console.log(`Parsing ${cacheName}...`);
-  const ranks = new Map();
-  const lines = text.split('\n');
-  console.log(`Split into ${lines.length} lines`);
+  return ranks;
+}
 
-  // CRITICAL FIX: The file is already base64-encoded, so the keys ARE the tokens!
-  // We don't need to decode and re-encode - just use the base64 strings directly
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (!line.trim()) continue;
+/**
+ * Load a vocabulary file from URL with caching
+ * Accepts .tiktoken text or the .tkbin binary format (detected by its header).
+ * For binary files, expectedHash is the hash of the original .tiktoken file.
+ *
+ * Progress events are `{ phase: 'download', loaded, total }` in bytes while the
+ * file is read (skipped on a cache hit), then `{ phase: 'parse', loaded, total }`
+ * in bytes of vocabulary data, once before and once after parsing.
+ *
+ * @param {string} url - URL or local path (Node.js only) to the vocabulary file
+ * @param {string} expectedHash - Expected SHA-256 hash (optional but recommended)
+ * @param {Object} options - Load options
+ * @param {Function} options.onProgress - Called with { phase, loaded, total }
+ * @param {string} options.name - Encoding name, recorded with the cache entry
+ * @returns {Promise<RankTable>} Byte-keyed table of token ranks
+ */
+export async function loadTiktokenBpe(url, expectedHash = null, options = {}) {
+  const { onProgress = null, name = null } = options;
+  const report = onProgress
+    ? (phase, loaded, total) => onProgress({ phase, loaded, total })
+    : () => {};
+  const cacheName = url.split(/[\\/]/).pop();
+  const key = expectedHash ? cacheKey(url, expectedHash) : null;
 
-    const spaceIndex = line.indexOf(' ');
-    if (spaceIndex === -1) {
-      console.warn(`Skipping invalid line ${i}: ${line}`);
-      continue;
+  // Try cache first
+  if (key) {
+    try {
+      const cached = await encodingCache.get(key);
+      if (cached) {
+        log.info(`Loaded ${cacheName} from cache`);
+        const size = Array.isArray(cached) ? cached.length : cached.byteLength;
+        report('parse', 0, size);
+        const ranks = await timeStep('parse', { file: url, bytes: size, cached: true }, () => ranksFromCache(cached));
+        report('parse', size, size);
+        return ranks;
+      }
+    } catch (e) {
+      log.warn('Cache read failed:', e);
     }
+  }
 
-    const tokenBase64 = line.substring(0, spaceIndex);
-    const rankStr = line.substring(spaceIndex + 1);
-    const rank = parseInt(rankStr, 10);
-
-    if (isNaN(rank)) {
-      console.warn(`Invalid rank in line ${i}: ${line}`);
-      continue;
+  // Fetch from network (or disk under Node.js)
+  log.info(`Fetching ${cacheName} from ${url}`);
+  const bytes = await timeStep('download', { file: url }, () => readVocabularyFile(url, report));
+  report('parse', 0, bytes.length);
+
+  let ranks;
+  if (isBinaryVocabulary(bytes)) {
+    ranks = await loadBinaryVocabulary(bytes, expectedHash, url);
+  } else {
+    // Verify hash if provided
+    if (expectedHash) {
+      const actualHash = await timeStep('hash', { file: url, bytes: bytes.length }, () => sha256(bytes));
+      if (actualHash !== expectedHash) {
+        throw new Error(
+          `Hash mismatch for ${url}. Expected ${expectedHash}, got ${actualHash}. ` +
+          `This may indicate a corrupted download or MITM attack.`
+        );
+      }
     }
 
-    // FIXED: Use the base64 string directly as the key
-    // The .tiktoken file already has base64-encoded tokens, which matches
-    // what BytePairEncoder.bytesToKey() produces
-    ranks.set(tokenBase64, rank);
-    
-    // Progress logging for large files
-    if (i > 0 && i % 50000 === 0) {
-      console.log(`Parsed ${i}/${lines.length} lines...`);
-    }
+    // Parse .tiktoken format: base64_token rank
+    ranks = await timeStep('parse', { file: url, bytes: bytes.length }, () => (
+      parseTiktoken(new TextDecoder().decode(bytes), cacheName)
+    ));
   }
 
-  console.log(`Loaded ${ranks.size} tokens from ${cacheName}`);
+  log.info(`Loaded ${ranks.size} tokens from ${cacheName}`);
+  report('parse', bytes.length, bytes.length);
 
-  // Cache for next time
-  if (expectedHash) {
+  // Cache for next time, in the compact binary format
+  if (key) {
     try {
-      await encodingCache.set(cacheName, Array.from(ranks.entries()), expectedHash);
+      const data = encodeBinaryVocabulary(ranks, expectedHash).buffer;
+      await storeInCache(key, data, { url, hash: expectedHash, encoding: name });
     } catch (e) {
-      console.warn('Cache write failed:', e);
+      log.warn('Cache write failed:', e);
     }
   }
 
   return ranks;
 }
 
+/**
+ * Store an entry, then evict least recently used entries over the quota
+ * An entry larger than the whole quota is not cached at all.
+ * @private
+ */
+async function storeInCache(key, data, meta) {
+  if (data.byteLength > cacheQuota) {
+    log.info(`Not caching ${meta.url}: ${data.byteLength} bytes exceeds the cache quota of ${cacheQuota}`);
+    return;
+  }
+  await encodingCache.set(key, data, meta);
+  await enforceCacheQuota();
+}
+
+/**
+ * Evict least recently used entries until the cache fits the quota
+ * @private
+ */
+async function enforceCacheQuota() {
+  const entries = await encodingCache.list();
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (total <= cacheQuota) return;
+
+  entries.sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const entry of entries) {
+    if (total <= cacheQuota) break;
+    await encodingCache.delete(entry.key);
+    total -= entry.size;
+    log.info(`Evicted ${entry.url} from cache (least recently used)`);
+  }
+}
+
+/**
+ * List cached vocabularies
+ *
+ * @returns {Promise<Array<{key: string, url: string, hash: string, encoding: string|null,
+ *   size: number, createdAt: number, lastUsed: number}>>} Entries, most recently used first;
+ *   `size` is in bytes, timestamps are milliseconds since the epoch
+ *
+ * @example
+ * for (const entry of await listCachedEncodings()) {
+ *   console.log(entry.encoding, entry.size, new Date(entry.lastUsed));
+ * }
+ */
+export async function listCachedEncodings() {
+  if (!isCacheAvailable()) return [];
+
+  const entries = await encodingCache.list();
+  return entries
+    .sort((a, b) => b.lastUsed - a.lastUsed)
+    .map(({ key, url, hash, encoding, size, createdAt, lastUsed }) => ({
+      key, url, hash, encoding, size, createdAt, lastUsed,
+    }));
+}
+
+/**
+ * Remove cached vocabularies
+ * The next load of a removed vocabulary reads the file again.
+ *
+ * @param {string} nameOrUrl - Encoding name (e.g. 'cl100k_base'), vocabulary URL or entry key
+ * @returns {Promise<number>} Number of entries removed
+ *
+ * @example
+ * await evictEncoding('p50k_base');
+ */
+export async function evictEncoding(nameOrUrl) {
+  if (!isCacheAvailable()) return 0;
+
+  const entries = await encodingCache.list();
+  let removed = 0;
+  for (const entry of entries) {
+    if (entry.encoding === nameOrUrl || entry.url === nameOrUrl || entry.key === nameOrUrl) {
+      await encodingCache.delete(entry.key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Set the cache size limit
+ * Least recently used entries are evicted right away if the cache is over it.
+ *
+ * @param {number} bytes - Limit in bytes (Infinity for no limit; default: 64 MiB)
+ * @throws {Error} If the limit is not a non-negative number
+ */
+export async function setCacheQuota(bytes) {
+  if (typeof bytes !== 'number' || Number.isNaN(bytes) || bytes < 0) {
+    throw new Error(`Cache quota must be a non-negative number of bytes, got ${bytes}`);
+  }
+  cacheQuota = bytes;
+  if (isCacheAvailable()) {
+    await enforceCacheQuota();
+  }
+}
+
+/**
+ * Get the cache size limit
+ * @returns {number} Limit in bytes
+ */
+export function getCacheQuota() {
+  return cacheQuota;
+}
+
 /**
  * Clear the encoding cache
  */
@@ -227,5 +541,8 @@ export async function clearCache() {
  * @returns {boolean}
  */
 export function isCacheAvailable() {
-  return typeof indexedDB !== 'undefined' && typeof crypto?.subtle !== 'undefined';
+  if (isNodeRuntime()) {
+    return process.env.TOKEN_TOTAL_CACHE_DIR !== '';
+  }
+  return typeof indexedDB !== 'undefined' && typeof globalThis.crypto?.subtle !== 'undefined';
 }
@@ -0,0 +1,299 @@
+/**
+ * Vocabulary File Formats
+ *
+ * Parsers and writers for the two vocabulary formats the loader accepts:
+ *
+ * 1. `.tiktoken` text (OpenAI's format): one `<base64 token> <rank>` per line
+ *
+ * 2. `.tkbin` binary (Token Total's compact format), all integers little-endian:
+ *
+ *    offset  size  field
+ *    0       4     magic "TKBV"
+ *    4       2     format version (1)
+ *    6       2     reserved (0)
+ *    8       4     token count N
+ *    12      4     rank of the first token (R)
+ *    16      32    SHA-256 of the original .tiktoken file (zeros if unknown)
+ *    48      ...   N entries: LEB128 byte length, then the token bytes
+ *
+ *    Ranks are implicit: entry i has rank R + i. A zero-length entry marks an
+ *    unused rank (the empty byte string is never a token), which covers gaps
+ *    such as p50k_base's missing rank 50256.
+ *
+ * The original file's hash is kept so a binary file can be verified against
+ * the same hash as its source: serializeTiktoken() rebuilds the canonical
+ * .tiktoken text, which hashes identically for OpenAI's published files.
+ */
+
+import { BytePairEncoder } from '../core/bpe.js';
+import { RankTable } from '../core/rank-table.js';
+import { log } from '../diagnostics/logger.js';
+
+export const BINARY_MAGIC = 'TKBV';
+export const BINARY_VERSION = 1;
+const HEADER_SIZE = 48;
+
+/**
+ * Check if bytes start with the binary vocabulary magic
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean}
+ */
+export function isBinaryVocabulary(bytes) {
+  return bytes.length >= 4 &&
+    bytes[0] === 0x54 && bytes[1] === 0x4B && bytes[2] === 0x42 && bytes[3] === 0x56;
+}
+
+/**
+ * Parse .tiktoken text into a RankTable
+ * @param {string} text - File contents
+ * @param {string} label - Name used in log messages
+ * @returns {RankTable} Byte-keyed table of token ranks
+ */
+export function parseTiktoken(text, label = 'vocabulary') {
+  log.debug(`Parsing ${label}...`);
+  const lines = text.split('\n');
+  const ranks = new RankTable(lines.length);
+  log.debug(`Split into ${lines.length} lines`);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+
+    const spaceIndex = line.indexOf(' ');
+    if (spaceIndex === -1) {
+      log.warn(`Skipping invalid line ${i}: ${line}`);
+      continue;
+    }
+
+    const tokenBase64 = line.substring(0, spaceIndex);
+    const rankStr = line.substring(spaceIndex + 1);
+    const rank = parseInt(rankStr, 10);
+
+    if (isNaN(rank)) {
+      log.warn(`Invalid rank in line ${i}: ${line}`);
+      continue;
+    }
+
+    // Tokens are stored as raw bytes; base64 strings are not kept around
+    ranks.set(BytePairEncoder.keyToBytes(tokenBase64), rank);
+
+    // Progress logging for large files
+    if (i > 0 && i % 50000 === 0) {
+      log.debug(`Parsed ${i}/${lines.length} lines...`);
+    }
+  }
+
+  return ranks;
+}
+
+/**
+ * Write a RankTable as canonical .tiktoken text (sorted by rank, one line each)
+ * @param {RankTable} ranks - Token ranks
+ * @returns {string} .tiktoken file contents
+ */
+export function serializeTiktoken(ranks) {
+  return new TextDecoder().decode(serializeTiktokenBytes(ranks));
+}
+
+/**
+ * Write a RankTable as canonical .tiktoken text, as UTF-8 bytes
+ * Used to verify binary files against the original file's hash, so it writes
+ * base64 directly into one buffer instead of building a string per token.
+ * @param {RankTable} ranks - Token ranks
+ * @returns {Uint8Array} .tiktoken file contents
+ */
+export function serializeTiktokenBytes(ranks) {
+  let out = new Uint8Array(ranks.size * 16 + 64);
+  let offset = 0;
+
+  for (let rank = 0; rank <= ranks.maxRank; rank++) {
+    const bytes = ranks.getBytes(rank);
+    if (!bytes) continue;
+
+    // Worst case line: base64 (4 per 3 bytes, rounded up) + space + 10-digit rank + newline
+    const lineSize = Math.ceil(bytes.length / 3) * 4 + 12;
+    if (offset + lineSize > out.length) {
+      const grown = new Uint8Array(Math.max(out.length * 2, offset + lineSize));
+      grown.set(out.subarray(0, offset));
+      out = grown;
+    }
+
+    offset = writeBase64(bytes, out, offset);
+    out[offset++] = 0x20;
+    const digits = String(rank);
+    for (let i = 0; i < digits.length; i++) out[offset++] = digits.charCodeAt(i);
+    out[offset++] = 0x0A;
+  }
+
+  return out.subarray(0, offset);
+}
+
+/**
+ * Encode a RankTable in the binary vocabulary format
+ * @param {RankTable} ranks - Token ranks
+ * @param {string|null} sourceHash - Hex SHA-256 of the original .tiktoken file
+ * @returns {Uint8Array} Binary file contents
+ */
+export function encodeBinaryVocabulary(ranks, sourceHash = null) {
+  let firstRank = 0;
+  while (firstRank <= ranks.maxRank && !ranks.getBytes(firstRank)) firstRank++;
+  const count = Math.max(ranks.maxRank - firstRank + 1, 0);
+
+  // Upper bound: every entry needs at most 5 length bytes
+  let size = HEADER_SIZE;
+  for (const [bytes] of ranks.entries()) size += bytes.length;
+  size += count * 5;
+
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  for (let i = 0; i < 4; i++) out[i] = BINARY_MAGIC.charCodeAt(i);
+  view.setUint16(4, BINARY_VERSION, true);
+  view.setUint16(6, 0, true);
+  view.setUint32(8, count, true);
+  view.setUint32(12, firstRank, true);
+  if (sourceHash) {
+    out.set(hexToBytes(sourceHash), 16);
+  }
+
+  let offset = HEADER_SIZE;
+  for (let rank = firstRank; rank < firstRank + count; rank++) {
+    const bytes = ranks.getBytes(rank);
+    let length = bytes ? bytes.length : 0;
+
+    // LEB128: 7 bits per byte, high bit set on all but the last byte
+    do {
+      let byte = length & 0x7F;
+      length >>>= 7;
+      if (length > 0) byte |= 0x80;
+      out[offset++] = byte;
+    } while (length > 0);
+
+    if (bytes) {
+      out.set(bytes, offset);
+      offset += bytes.length;
+    }
+  }
+
+  return out.slice(0, offset);
+}
+
+/**
+ * Decode a binary vocabulary file
+ * @param {Uint8Array|ArrayBuffer} data - Binary file contents
+ * @returns {{ranks: RankTable, sourceHash: string|null}} Token ranks and the original file's hash
+ * @throws {Error} If the data is not a valid binary vocabulary
+ */
+export function decodeBinaryVocabulary(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (!isBinaryVocabulary(bytes) || bytes.length < HEADER_SIZE) {
+    throw new Error('Not a binary vocabulary file (missing TKBV header)');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint16(4, true);
+  if (version !== BINARY_VERSION) {
+    throw new Error(`Unsupported binary vocabulary version ${version} (expected ${BINARY_VERSION})`);
+  }
+
+  const count = view.getUint32(8, true);
+  const firstRank = view.getUint32(12, true);
+  const hashBytes = bytes.subarray(16, 48);
+  const sourceHash = hashBytes.some(b => b !== 0) ? bytesToHex(hashBytes) : null;
+
+  const ranks = new RankTable(count);
+  let offset = HEADER_SIZE;
+
+  for (let i = 0; i < count; i++) {
+    let length = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (offset >= bytes.length) {
+        throw new Error(`Binary vocabulary is truncated at entry ${i} of ${count}`);
+      }
+      byte = bytes[offset++];
+      length |= (byte & 0x7F) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+
+    if (offset + length > bytes.length) {
+      throw new Error(`Binary vocabulary is truncated at entry ${i} of ${count}`);
+    }
+    if (length > 0) {
+      ranks.set(bytes.subarray(offset, offset + length), firstRank + i);
+      offset += length;
+    }
+  }
+
+  return { ranks, sourceHash };
+}
+
+/**
+ * Convert .tiktoken text to the binary format
+ * @param {string} text - .tiktoken file contents
+ * @param {string|null} sourceHash - Hex SHA-256 of the text (embedded for verification)
+ * @returns {Uint8Array} Binary file contents
+ *
+ * @example
+ * const text = await (await fetch('cl100k_base.tiktoken')).text();
+ * const binary = convertTiktokenToBinary(text, await sha256(text));
+ */
+export function convertTiktokenToBinary(text, sourceHash = null) {
+  return encodeBinaryVocabulary(parseTiktoken(text), sourceHash);
+}
+
+const BASE64_ALPHABET = new TextEncoder().encode(
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+);
+
+/**
+ * Write standard padded base64 of bytes into out at offset
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} out
+ * @param {number} offset
+ * @returns {number} Offset after the written characters
+ */
+function writeBase64(bytes, out, offset) {
+  let i = 0;
+  for (; i + 2 < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    out[offset++] = BASE64_ALPHABET[n >> 18];
+    out[offset++] = BASE64_ALPHABET[(n >> 12) & 63];
+    out[offset++] = BASE64_ALPHABET[(n >> 6) & 63];
+    out[offset++] = BASE64_ALPHABET[n & 63];
+  }
+
+  const remaining = bytes.length - i;
+  if (remaining > 0) {
+    const n = (bytes[i] << 16) | (remaining === 2 ? bytes[i + 1] << 8 : 0);
+    out[offset++] = BASE64_ALPHABET[n >> 18];
+    out[offset++] = BASE64_ALPHABET[(n >> 12) & 63];
+    out[offset++] = remaining === 2 ? BASE64_ALPHABET[(n >> 6) & 63] : 0x3D;
+    out[offset++] = 0x3D;
+  }
+
+  return offset;
+}
+
+/**
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+function hexToBytes(hex) {
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error(`Invalid SHA-256 hex string: ${hex}`);
+  }
+  const bytes = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
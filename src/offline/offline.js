@@ -0,0 +1,136 @@
+/**
+ * Offline Support
+ * Page-side control of the service worker (sw.js) that keeps the app and
+ * chosen vocabularies available without a network
+ *
+ * The service worker cannot import the registry, so every selection is sent
+ * with the vocabulary URLs and hashes from ENCODING_CONSTRUCTORS. Vocabulary
+ * caches are named after those hashes: re-sending the selection after a
+ * vocabulary changes downloads the new file and deletes the old one.
+ */
+
+import { ENCODING_CONSTRUCTORS } from '../encodings/registry.js';
+import { log } from '../diagnostics/logger.js';
+
+/**
+ * Encodings made available offline until the user chooses others
+ */
+export const DEFAULT_OFFLINE_ENCODINGS = ['o200k_base', 'cl100k_base'];
+
+/**
+ * Check if the browser supports service workers and Cache Storage
+ * Service workers also need a secure context (https:// or localhost).
+ * @returns {boolean}
+ */
+export function isOfflineSupported() {
+  return typeof navigator !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    typeof caches !== 'undefined' &&
+    globalThis.isSecureContext !== false;
+}
+
+/**
+ * Send a request to the active service worker and wait for its reply
+ * @param {Object} message - { type, ... } (see the protocol in sw.js)
+ * @returns {Promise<*>} Reply result
+ */
+async function request(message) {
+  if (!isOfflineSupported()) {
+    throw new Error('Offline support needs service workers (a modern browser on https:// or localhost)');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = ({ data }) => {
+      channel.port1.close();
+      if (data.type === 'error') {
+        const error = new Error(data.error.message);
+        error.name = data.error.name;
+        reject(error);
+      } else {
+        resolve(data.result);
+      }
+    };
+    registration.active.postMessage(message, [channel.port2]);
+  });
+}
+
+/**
+ * Register the service worker and bring the offline vocabularies up to date
+ *
+ * Re-sends the stored selection (or DEFAULT_OFFLINE_ENCODINGS on the first
+ * visit) with the current hashes, so vocabularies changed by a deploy are
+ * replaced. Does nothing where service workers are unavailable.
+ *
+ * @param {Object} options - Registration options
+ * @param {string|URL} options.scriptUrl - Service worker script (default: 'sw.js' next to the page)
+ * @param {string[]} options.encodings - Encodings to keep offline on the first visit
+ *   (default: DEFAULT_OFFLINE_ENCODINGS)
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported
+ *
+ * @example
+ * // Don't hold up the page; precaching runs in the background
+ * registerOfflineSupport().catch(err => console.warn('Offline mode unavailable:', err));
+ */
+export async function registerOfflineSupport(options = {}) {
+  const { scriptUrl = 'sw.js', encodings = DEFAULT_OFFLINE_ENCODINGS } = options;
+
+  if (!isOfflineSupported()) {
+    log.info('Service workers are not available; offline support is off');
+    return null;
+  }
+
+  const registration = await navigator.serviceWorker.register(scriptUrl);
+  log.info(`Service worker registered for ${registration.scope}`);
+
+  const stored = await getOfflineEncodings();
+  await setOfflineEncodings(stored ? stored.map(entry => entry.name) : encodings);
+  return registration;
+}
+
+/**
+ * Choose which encodings are available offline
+ * Downloads vocabularies that are not cached yet and deletes the others.
+ * Encodings sharing a vocabulary file (p50k_base, p50k_edit) share its cache.
+ *
+ * @param {string[]} names - Encoding names (an empty array removes every vocabulary)
+ * @returns {Promise<Array<{name: string, url: string, hash: string, cached: boolean, size: number}>>}
+ *   The selection with each vocabulary's cached size in bytes
+ * @throws {Error} If an encoding is unknown or has no vocabulary file, or a download fails
+ *
+ * @example
+ * await setOfflineEncodings(['o200k_base', 'cl100k_base', 'p50k_base']);
+ */
+export async function setOfflineEncodings(names) {
+  if (!Array.isArray(names)) {
+    throw new Error('setOfflineEncodings needs an array of encoding names');
+  }
+
+  const encodings = names.map(name => {
+    const config = ENCODING_CONSTRUCTORS[name];
+    if (!config) {
+      throw new Error(
+        `Unknown encoding: ${name}. ` +
+        `Available encodings: ${Object.keys(ENCODING_CONSTRUCTORS).join(', ')}`
+      );
+    }
+    if (!config.url || !config.hash) {
+      throw new Error(`Encoding ${name} has no hashed vocabulary file to keep offline`);
+    }
+    return { name, url: new URL(config.url, globalThis.location?.href).href, hash: config.hash };
+  });
+
+  const result = await request({ type: 'setEncodings', encodings });
+  log.info(`Offline encodings: ${names.join(', ') || 'none'}`);
+  return result;
+}
+
+/**
+ * Get the encodings chosen for offline use
+ * @returns {Promise<Array<{name: string, url: string, hash: string, cached: boolean, size: number}>|null>}
+ *   Selection with cached sizes in bytes; null if none was ever chosen
+ */
+export async function getOfflineEncodings() {
+  return request({ type: 'getEncodings' });
+}
@@ -0,0 +1,289 @@
+/**
+ * Cost Estimation
+ * Per-model token prices and cost estimates built on token counting
+ *
+ * Prices are USD per 1M tokens for the standard (non-batch) API tier, taken
+ * from OpenAI's pricing page. They change over time, so the table can be
+ * overridden or extended at runtime with setModelPricing().
+ */
+
+import { encodingForModel } from '../encodings/registry.js';
+import { parseModelName } from '../encodings/models.js';
+import { countChatTokens } from '../chat/chat-tokens.js';
+
+// USD per 1M tokens: { input, cachedInput, output }
+// cachedInput is null when a model has no prompt caching discount (cached
+// tokens are then billed at the input price); output is null for embeddings.
+// Models are matched exactly first, then by the longest key followed by '-'.
+export const MODEL_PRICING = {
+  // Reasoning models
+  'o1': { input: 15, cachedInput: 7.5, output: 60 },
+  'o1-mini': { input: 1.1, cachedInput: 0.55, output: 4.4 },
+  'o1-preview': { input: 15, cachedInput: 7.5, output: 60 },
+  'o3': { input: 2, cachedInput: 0.5, output: 8 },
+  'o3-mini': { input: 1.1, cachedInput: 0.55, output: 4.4 },
+  'o4-mini': { input: 1.1, cachedInput: 0.275, output: 4.4 },
+
+  // GPT-5 models
+  'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+
+  // GPT-4.1 / GPT-4.5 models
+  'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, cachedInput: 0.025, output: 0.4 },
+  'gpt-4.5-preview': { input: 75, cachedInput: 37.5, output: 150 },
+
+  // GPT-4o models
+  'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+  'gpt-4o-2024-05-13': { input: 5, cachedInput: null, output: 15 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+  'chatgpt-4o-latest': { input: 5, cachedInput: null, output: 15 },
+
+  // GPT-4 models
+  'gpt-4': { input: 30, cachedInput: null, output: 60 },
+  'gpt-4-32k': { input: 60, cachedInput: null, output: 120 },
+  'gpt-4-turbo': { input: 10, cachedInput: null, output: 30 },
+  'gpt-4-turbo-preview': { input: 10, cachedInput: null, output: 30 },
+  'gpt-4-0125-preview': { input: 10, cachedInput: null, output: 30 },
+  'gpt-4-1106-preview': { input: 10, cachedInput: null, output: 30 },
+  'gpt-4-vision-preview': { input: 10, cachedInput: null, output: 30 },
+
+  // GPT-3.5-turbo models
+  'gpt-3.5-turbo': { input: 0.5, cachedInput: null, output: 1.5 },
+  'gpt-3.5-turbo-16k': { input: 3, cachedInput: null, output: 4 },
+
+  // Base models
+  'davinci-002': { input: 2, cachedInput: null, output: 2 },
+  'babbage-002': { input: 0.4, cachedInput: null, output: 0.4 },
+
+  // Embeddings models
+  'text-embedding-ada-002': { input: 0.1, cachedInput: null, output: null },
+  'text-embedding-3-small': { input: 0.02, cachedInput: null, output: null },
+  'text-embedding-3-large': { input: 0.13, cachedInput: null, output: null },
+};
+
+// Active price table (defaults plus runtime overrides)
+let pricingTable = { ...MODEL_PRICING };
+
+/**
+ * Check that a price is a non-negative number (or null where allowed)
+ * @param {string} model - Model name, for the error message
+ * @param {string} field - Price field
+ * @param {*} value - Price to check
+ * @param {boolean} nullable - Whether null is allowed
+ */
+function validatePrice(model, field, value, nullable) {
+  if (value === null && nullable) return;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(
+      `Invalid ${field} price for ${model}: ${value}. ` +
+      `Prices are non-negative numbers in USD per 1M tokens` +
+      (nullable ? ` (or null)` : ``)
+    );
+  }
+}
+
+/**
+ * Override or add the prices for a model
+ * Fields that are left out keep their current value; a new model must give
+ * at least an input price. Prices are USD per 1M tokens.
+ *
+ * @param {string} model - Model name, prefix family (e.g. 'gpt-4o') or fine-tuned id
+ * @param {Object} prices - Prices to set
+ * @param {number} prices.input - Input token price
+ * @param {number|null} prices.cachedInput - Cached input token price (null = no discount)
+ * @param {number|null} prices.output - Output token price (null = no output tokens)
+ * @returns {{input: number, cachedInput: number|null, output: number|null}} The model's prices
+ * @throws {Error} If a price is invalid
+ *
+ * @example
+ * // Batch API pricing for gpt-4o-mini
+ * setModelPricing('gpt-4o-mini', { input: 0.075, output: 0.3 });
+ *
+ * // A fine-tuned model
+ * setModelPricing('ft:gpt-4o-mini-2024-07-18:my-org::abc123', { input: 0.3, cachedInput: 0.15, output: 1.2 });
+ */
+export function setModelPricing(model, prices) {
+  const current = pricingTable[model] || { cachedInput: null, output: null };
+  const next = { ...current, ...prices };
+
+  validatePrice(model, 'input', next.input, false);
+  validatePrice(model, 'cachedInput', next.cachedInput, true);
+  validatePrice(model, 'output', next.output, true);
+
+  pricingTable[model] = {
+    input: next.input,
+    cachedInput: next.cachedInput,
+    output: next.output,
+  };
+  return { ...pricingTable[model] };
+}
+
+/**
+ * Restore the built-in price table, dropping all overrides
+ */
+export function resetModelPricing() {
+  pricingTable = { ...MODEL_PRICING };
+}
+
+/**
+ * Get the prices for a model
+ *
+ * Dated snapshots use their family's prices (gpt-4o-2024-11-20 → gpt-4o).
+ * Fine-tuned models are billed at their own rates, so they only match an
+ * exact entry added with setModelPricing().
+ *
+ * @param {string} model - Model name
+ * @returns {{input: number, cachedInput: number|null, output: number|null}|null} Prices, or null if unknown
+ */
+export function getModelPricing(model) {
+  if (pricingTable[model]) {
+    return { ...pricingTable[model] };
+  }
+  if (parseModelName(model).fineTuned) {
+    return null;
+  }
+
+  let bestPrefix = null;
+  for (const prefix of Object.keys(pricingTable)) {
+    if (model.startsWith(`${prefix}-`) && (!bestPrefix || prefix.length > bestPrefix.length)) {
+      bestPrefix = prefix;
+    }
+  }
+
+  return bestPrefix ? { ...pricingTable[bestPrefix] } : null;
+}
+
+/**
+ * Get the prices for a model, or throw if there are none
+ * @param {string} model - Model name
+ * @returns {{input: number, cachedInput: number|null, output: number|null}}
+ */
+function requirePricing(model) {
+  const prices = getModelPricing(model);
+  if (!prices) {
+    const hint = parseModelName(model).fineTuned
+      ? `Fine-tuned models are billed at their own rates; add them with setModelPricing().`
+      : `Add its prices with setModelPricing().`;
+    throw new Error(`No pricing found for model: ${model}. ${hint}`);
+  }
+  return prices;
+}
+
+/**
+ * Price already-counted tokens
+ * @param {string} model - Model name
+ * @param {Object} usage - Token counts
+ * @param {number} usage.inputTokens - Total input tokens, including cached ones
+ * @param {number} usage.cachedInputTokens - Input tokens served from the prompt cache (default: 0)
+ * @param {number} usage.outputTokens - Output tokens (default: 0)
+ * @returns {{model: string, currency: string, lineItems: Array<{type: string, tokens: number,
+ *   pricePerMillion: number, cost: number}>, total: number}}
+ * @throws {Error} If the model has no pricing or the counts are invalid
+ *
+ * @example
+ * calculateCost('gpt-4o', { inputTokens: 1200, outputTokens: 300 }).total;
+ * // 0.006
+ */
+export function calculateCost(model, { inputTokens, cachedInputTokens = 0, outputTokens = 0 } = {}) {
+  const prices = requirePricing(model);
+
+  for (const [field, value] of Object.entries({ inputTokens, cachedInputTokens, outputTokens })) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${field} must be a non-negative integer, got ${value}`);
+    }
+  }
+  if (cachedInputTokens > inputTokens) {
+    throw new Error(`cachedInputTokens (${cachedInputTokens}) cannot exceed inputTokens (${inputTokens})`);
+  }
+  if (outputTokens > 0 && prices.output === null) {
+    throw new Error(`Model ${model} does not produce output tokens`);
+  }
+
+  const lineItem = (type, tokens, pricePerMillion) => ({
+    type,
+    tokens,
+    pricePerMillion,
+    cost: tokens * pricePerMillion / 1_000_000,
+  });
+
+  const lineItems = [lineItem('input', inputTokens - cachedInputTokens, prices.input)];
+  if (cachedInputTokens > 0) {
+    lineItems.push(lineItem('cachedInput', cachedInputTokens, prices.cachedInput ?? prices.input));
+  }
+  if (prices.output !== null) {
+    lineItems.push(lineItem('output', outputTokens, prices.output));
+  }
+
+  return {
+    model,
+    currency: 'USD',
+    lineItems,
+    total: lineItems.reduce((sum, item) => sum + item.cost, 0),
+  };
+}
+
+/**
+ * Estimate the cost of a request
+ *
+ * The input is tokenized with the model's encoding: a string is counted as
+ * plain text (special token strings included), and an array of chat messages
+ * is counted with countChatTokens(), framing overhead included.
+ *
+ * @param {Object} request - Request to price
+ * @param {string} request.model - Model name
+ * @param {string|Array<{role: string, content: string|Object[]|null, name?: string}>} request.input - Prompt text or chat messages
+ * @param {number} request.expectedOutputTokens - Expected completion length (default: 0)
+ * @param {number} request.cachedInputTokens - Input tokens expected to hit the prompt cache (default: 0)
+ * @returns {Promise<{model: string, encoding: string, currency: string, inputTokens: number,
+ *   outputTokens: number, lineItems: Array<{type: string, tokens: number, pricePerMillion: number,
+ *   cost: number}>, total: number}>} Line-item breakdown (costs in USD)
+ * @throws {Error} If the model has no encoding or pricing, or chat messages are
+ *   given for a model that is not a chat model (base and embedding models)
+ *
+ * @example
+ * const { total, lineItems } = await estimateCost({
+ *   model: 'gpt-4o',
+ *   input: [{ role: 'user', content: 'Summarize this article: ...' }],
+ *   expectedOutputTokens: 500,
+ * });
+ */
+export async function estimateCost({ model, input, expectedOutputTokens = 0, cachedInputTokens = 0 }) {
+  if (typeof model !== 'string') {
+    throw new Error(`estimateCost requires a model name`);
+  }
+  // Check pricing before loading the encoding, so unknown models fail fast
+  requirePricing(model);
+
+  let inputTokens;
+  let encodingName;
+  if (Array.isArray(input)) {
+    const chat = await countChatTokens(input, model);
+    inputTokens = chat.total;
+    encodingName = chat.encoding;
+  } else if (typeof input === 'string') {
+    const encoding = await encodingForModel(model);
+    inputTokens = encoding.encode(input, { disallowedSpecial: new Set() }).length;
+    encodingName = encoding.name;
+  } else {
+    throw new Error(`input must be a string or an array of chat messages`);
+  }
+
+  const cost = calculateCost(model, {
+    inputTokens,
+    cachedInputTokens,
+    outputTokens: expectedOutputTokens,
+  });
+
+  return {
+    model,
+    encoding: encodingName,
+    currency: cost.currency,
+    inputTokens,
+    outputTokens: expectedOutputTokens,
+    lineItems: cost.lineItems,
+    total: cost.total,
+  };
+}
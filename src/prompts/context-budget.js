@@ -0,0 +1,258 @@
+/**
+ * Context Budget Allocator
+ * Fits a multi-section prompt (system prompt, history, retrieved documents,
+ * question, ...) into a model's context window
+ *
+ * Every section first gets its minimum. What is left goes to sections in
+ * priority order, each up to its maximum (or its full size), and whatever a
+ * section does not use passes on to the next. Sections are then shrunk to
+ * their allocation with their own strategy:
+ *
+ *   keep            Never shrunk; the whole text is reserved up front
+ *   truncate-tail   Cut text from the end (Encoding#truncate)
+ *   drop-oldest     Drop items from the start (chat history, oldest first)
+ *   drop-document   Drop whole items from the end (documents, most relevant first)
+ *
+ * Token counts are exact for each section's fitted text encoded on its own,
+ * which is how sections are counted when each becomes its own message. Text
+ * is counted as ordinary text, including anything that looks like a special
+ * token.
+ */
+
+import { getEncoding } from '../encodings/registry.js';
+import { getModelInfo } from '../encodings/models.js';
+
+const STRATEGIES = ['keep', 'truncate-tail', 'drop-oldest', 'drop-document'];
+
+const ENCODE_OPTIONS = { disallowedSpecial: new Set() };
+
+/**
+ * Validate a section and resolve its token limits
+ * @param {Object} section - Section definition
+ * @param {number} available - Prompt budget in tokens
+ * @returns {{min: number, max: number}} Token limits
+ * @throws {Error} If the section is malformed
+ */
+function sectionLimits(section, available) {
+  const { name, content, strategy } = section;
+
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Every context section needs a name');
+  }
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Invalid strategy for section '${name}': ${strategy}. ` +
+      `Use ${STRATEGIES.map(s => `'${s}'`).join(', ')}`
+    );
+  }
+  const isList = Array.isArray(content);
+  if (!isList && typeof content !== 'string') {
+    throw new Error(`Section '${name}' content must be a string or an array of strings`);
+  }
+  if ((strategy === 'drop-oldest' || strategy === 'drop-document') && !isList) {
+    throw new Error(`Section '${name}' uses '${strategy}', which needs an array of items`);
+  }
+
+  for (const key of ['minShare', 'maxShare']) {
+    const share = section[key];
+    if (share !== undefined && !(share >= 0 && share <= 1)) {
+      throw new Error(`Section '${name}' ${key} must be between 0 and 1, got ${share}`);
+    }
+  }
+
+  const min = Math.max(section.minTokens || 0, Math.ceil((section.minShare || 0) * available));
+  const max = Math.min(
+    section.maxTokens ?? Infinity,
+    section.maxShare === undefined ? Infinity : Math.floor(section.maxShare * available)
+  );
+  if (min > max) {
+    throw new Error(`Section '${name}' minimum (${min} tokens) is above its maximum (${max} tokens)`);
+  }
+  return { min, max };
+}
+
+/**
+ * Keep as many items as fit, dropping from one end
+ * @param {Encoding} encoding - Encoding to count with
+ * @param {string[]} items - Section items
+ * @param {string} separator - Text between items
+ * @param {number} target - Token allocation
+ * @param {boolean} fromStart - Drop the first items (true) or the last ones (false)
+ * @returns {{items: string[], text: string, tokenCount: number}}
+ */
+function fitItems(encoding, items, separator, target, fromStart) {
+  const count = text => encoding.encode(text, ENCODE_OPTIONS).length;
+  const separatorTokens = count(separator);
+  const itemTokens = items.map(count);
+
+  // Estimate from per-item counts, then confirm with the joined text
+  let keep = 0;
+  let estimate = 0;
+  while (keep < items.length) {
+    const item = fromStart ? itemTokens[items.length - 1 - keep] : itemTokens[keep];
+    const next = estimate + item + (keep > 0 ? separatorTokens : 0);
+    if (next > target) break;
+    estimate = next;
+    keep++;
+  }
+
+  for (; keep >= 0; keep--) {
+    const kept = fromStart ? items.slice(items.length - keep) : items.slice(0, keep);
+    const text = kept.join(separator);
+    const tokenCount = count(text);
+    if (tokenCount <= target) {
+      return { items: kept, text, tokenCount };
+    }
+  }
+
+  // Unreachable: keeping nothing costs 0 tokens
+  throw new Error(`Failed to fit items into ${target} tokens`);
+}
+
+/**
+ * Fit named prompt sections into a context window
+ *
+ * @param {string|Encoding} encoding - Encoding name or loaded encoding to count with
+ * @param {Array<Object>} sections - Sections in prompt order
+ * @param {string} sections[].name - Section name (unique)
+ * @param {string|string[]} sections[].content - Text, or items (messages, documents)
+ * @param {'keep'|'truncate-tail'|'drop-oldest'|'drop-document'} sections[].strategy - How the
+ *   section shrinks (default: 'keep'); the drop strategies need an array of items
+ * @param {number} sections[].priority - Higher priorities get spare tokens first (default: 0)
+ * @param {number} sections[].minShare - Share of the budget (0-1) reserved for the section
+ * @param {number} sections[].maxShare - Largest share of the budget (0-1) the section may use
+ * @param {number} sections[].minTokens - Tokens reserved for the section (combined with minShare)
+ * @param {number} sections[].maxTokens - Most tokens the section may use (combined with maxShare)
+ * @param {string} sections[].ellipsis - 'truncate-tail' only: marker added at the cut (default: '')
+ * @param {Object} options - Budget options
+ * @param {number} options.contextLimit - Context window in tokens (default: the model's)
+ * @param {string} options.model - Model whose context window to use when contextLimit is not given
+ * @param {number} options.reservedOutputTokens - Tokens kept free for the reply (default: 0)
+ * @param {string} options.separator - Text between items of an array section (default: '\n\n')
+ * @returns {Promise<{contextLimit: number, reservedOutputTokens: number, available: number,
+ *   tokenCount: number, remaining: number,
+ *   sections: Array<{name: string, text: string, items: string[]|null, tokenCount: number,
+ *     fullTokenCount: number, truncated: boolean, dropped: number}>}>}
+ *   Fitted sections in the order given; `items` are the kept items of an array section and
+ *   `dropped` how many were removed
+ * @throws {Error} If a section is invalid, the limits are missing, or the `keep` sections and
+ *   minimums alone do not fit
+ *
+ * @example
+ * const { sections, tokenCount } = await allocateContext('o200k_base', [
+ *   { name: 'system', content: systemPrompt, strategy: 'keep', priority: 3 },
+ *   { name: 'history', content: messages, strategy: 'drop-oldest', priority: 1, maxShare: 0.3 },
+ *   { name: 'documents', content: docs, strategy: 'drop-document', priority: 0, minShare: 0.2 },
+ *   { name: 'question', content: question, strategy: 'keep', priority: 3 },
+ * ], { model: 'gpt-4o', reservedOutputTokens: 4096 });
+ */
+export async function allocateContext(encoding, sections, options = {}) {
+  const { reservedOutputTokens = 0, separator = '\n\n' } = options;
+
+  let contextLimit = options.contextLimit;
+  if (contextLimit === undefined && options.model) {
+    contextLimit = getModelInfo(options.model).contextWindow;
+    if (contextLimit === null) {
+      throw new Error(`Context window of ${options.model} is not known. Pass contextLimit instead`);
+    }
+  }
+  if (!Number.isInteger(contextLimit) || contextLimit <= 0) {
+    throw new Error(`contextLimit must be a positive integer (or pass a known model), got ${contextLimit}`);
+  }
+  if (!Number.isInteger(reservedOutputTokens) || reservedOutputTokens < 0) {
+    throw new Error(`reservedOutputTokens must be a non-negative integer, got ${reservedOutputTokens}`);
+  }
+  const available = contextLimit - reservedOutputTokens;
+  if (available <= 0) {
+    throw new Error(
+      `reservedOutputTokens (${reservedOutputTokens}) leaves no room in a ${contextLimit}-token context`
+    );
+  }
+
+  if (!Array.isArray(sections)) {
+    throw new Error('allocateContext needs an array of sections');
+  }
+
+  if (typeof encoding === 'string') {
+    encoding = await getEncoding(encoding);
+  }
+
+  const names = new Set();
+  const plans = sections.map((section, index) => {
+    const resolved = { strategy: 'keep', priority: 0, ...section };
+    const { min, max } = sectionLimits(resolved, available);
+    if (names.has(resolved.name)) {
+      throw new Error(`Duplicate section name: ${resolved.name}`);
+    }
+    names.add(resolved.name);
+
+    const isList = Array.isArray(resolved.content);
+    const fullText = isList ? resolved.content.join(separator) : resolved.content;
+    const fullTokenCount = encoding.encode(fullText, ENCODE_OPTIONS).length;
+
+    if (resolved.strategy === 'keep' && fullTokenCount > max) {
+      throw new Error(
+        `Section '${resolved.name}' must be kept whole (${fullTokenCount} tokens) ` +
+        `but may use at most ${max} tokens`
+      );
+    }
+
+    const wanted = Math.min(fullTokenCount, max);
+    const reserved = resolved.strategy === 'keep' ? fullTokenCount : Math.min(wanted, min);
+    return { section: resolved, index, isList, fullText, fullTokenCount, wanted, reserved };
+  });
+
+  const totalReserved = plans.reduce((sum, plan) => sum + plan.reserved, 0);
+  if (totalReserved > available) {
+    throw new Error(
+      `Sections need at least ${totalReserved} tokens (kept sections and minimums), ` +
+      `but only ${available} are available (${contextLimit} context - ${reservedOutputTokens} reserved for output)`
+    );
+  }
+
+  // Spare tokens go to the highest priority first; ties keep prompt order
+  let spare = available - totalReserved;
+  const byPriority = [...plans].sort((a, b) => b.section.priority - a.section.priority || a.index - b.index);
+  const fitted = new Array(plans.length);
+
+  for (const plan of byPriority) {
+    const { section, isList, fullText, fullTokenCount, wanted, reserved } = plan;
+    const target = reserved + Math.min(wanted - reserved, spare);
+
+    let result;
+    if (fullTokenCount <= target) {
+      result = { items: isList ? section.content.slice() : null, text: fullText, tokenCount: fullTokenCount };
+    } else if (section.strategy === 'truncate-tail') {
+      // Items are truncated as one joined text, so none are reported as kept
+      const { text, tokenCount } = encoding.truncate(fullText, target, {
+        ellipsis: section.ellipsis || '',
+        ...ENCODE_OPTIONS,
+      });
+      result = { items: null, text, tokenCount };
+    } else {
+      result = fitItems(encoding, section.content, separator, target, section.strategy === 'drop-oldest');
+    }
+
+    spare -= result.tokenCount - reserved;
+    fitted[plan.index] = {
+      name: section.name,
+      text: result.text,
+      items: result.items,
+      tokenCount: result.tokenCount,
+      fullTokenCount,
+      truncated: result.tokenCount < fullTokenCount,
+      dropped: isList && result.items ? section.content.length - result.items.length : 0,
+    };
+  }
+
+  const tokenCount = fitted.reduce((sum, section) => sum + section.tokenCount, 0);
+
+  return {
+    contextLimit,
+    reservedOutputTokens,
+    available,
+    tokenCount,
+    remaining: available - tokenCount,
+    sections: fitted,
+  };
+}
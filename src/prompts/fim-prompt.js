@@ -0,0 +1,164 @@
+/**
+ * Fill-in-the-Middle Prompts
+ * Based on "Efficient Training of Language Models to Fill in the Middle"
+ * (Bavarian et al., 2022)
+ *
+ * A FIM prompt gives the model the text before and after the cursor and asks
+ * it to generate what goes in between. Two token orders are in use:
+ *
+ *   PSM: <|fim_prefix|> prefix <|fim_suffix|> suffix <|fim_middle|>
+ *   SPM: <|fim_prefix|> <|fim_suffix|> suffix <|fim_middle|> prefix
+ *
+ * In both, the model's output continues directly after the last token.
+ */
+
+import { getEncoding, FIM_PREFIX, FIM_MIDDLE, FIM_SUFFIX } from '../encodings/registry.js';
+
+const FIM_MODES = ['PSM', 'SPM'];
+
+/**
+ * True if a byte is a UTF-8 continuation byte (10xxxxxx)
+ */
+function isContinuationByte(byte) {
+  return (byte & 0xc0) === 0x80;
+}
+
+/**
+ * Token IDs of the three FIM special tokens
+ * @param {Encoding} encoding - Encoding
+ * @returns {{prefix: number, middle: number, suffix: number}}
+ * @throws {Error} If the encoding does not define all three
+ */
+function fimTokenIds(encoding) {
+  const special = encoding._specialTokens;
+  const ids = {
+    prefix: special[FIM_PREFIX],
+    middle: special[FIM_MIDDLE],
+    suffix: special[FIM_SUFFIX],
+  };
+  if (ids.prefix === undefined || ids.middle === undefined || ids.suffix === undefined) {
+    throw new Error(
+      `Encoding ${encoding.name} does not define the fill-in-the-middle tokens ` +
+      `${FIM_PREFIX}, ${FIM_SUFFIX} and ${FIM_MIDDLE}. Use cl100k_base or p50k_edit`
+    );
+  }
+  return ids;
+}
+
+/**
+ * Index of the first token to keep so the kept tokens start on a character
+ * boundary, moving later past tokens that hold the tail of a character
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {number[]} offsets - Token byte offsets (from _tokenByteOffsets)
+ * @param {number} start - Candidate first token
+ * @returns {number} First token index
+ */
+function snapStart(bytes, offsets, start) {
+  while (start < offsets.length - 1 && isContinuationByte(bytes[offsets[start]])) start++;
+  return start;
+}
+
+/**
+ * Index after the last token to keep so the kept tokens end on a character
+ * boundary, moving earlier past tokens that hold the head of a character
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {number[]} offsets - Token byte offsets (from _tokenByteOffsets)
+ * @param {number} end - Candidate end index
+ * @returns {number} End token index
+ */
+function snapEnd(bytes, offsets, end) {
+  while (end > 0 && offsets[end] < bytes.length && isContinuationByte(bytes[offsets[end]])) end--;
+  return end;
+}
+
+/**
+ * Build a fill-in-the-middle prompt as token IDs
+ *
+ * When the prompt does not fit in maxTokens, text is removed from the far
+ * ends so the context nearest the cursor survives: the budget left after the
+ * three FIM tokens is split evenly between the end of the prefix and the start
+ * of the suffix (the prefix gets the odd token), and a side that needs less
+ * than its half gives the rest to the other. Cuts fall on token boundaries;
+ * a token holding only part of a character is dropped with that character.
+ *
+ * @param {string|Encoding} encoding - Encoding name or loaded encoding with FIM tokens
+ *   (cl100k_base, p50k_edit)
+ * @param {Object} parts - Text around the cursor
+ * @param {string} parts.prefix - Text before the cursor
+ * @param {string} parts.suffix - Text after the cursor
+ * @param {Object} options - Prompt options
+ * @param {'PSM'|'SPM'} options.mode - Token order (default: 'PSM')
+ * @param {number} options.maxTokens - Maximum prompt length, FIM tokens included (default: no limit)
+ * @returns {Promise<{tokens: number[], mode: string, prefix: string, suffix: string,
+ *   prefixTokens: number, suffixTokens: number, truncated: boolean}>}
+ *   Prompt tokens, plus the prefix and suffix text that was kept and its token counts
+ * @throws {Error} If the encoding has no FIM tokens, the mode is unknown, maxTokens is less
+ *   than 3, or the text contains special tokens
+ *
+ * @example
+ * const { tokens } = await buildFimPrompt('cl100k_base', {
+ *   prefix: 'function add(a, b) {\n  return ',
+ *   suffix: ';\n}\n',
+ * }, { maxTokens: 2048 });
+ */
+export async function buildFimPrompt(encoding, parts, options = {}) {
+  const { prefix = '', suffix = '' } = parts || {};
+  const { mode = 'PSM', maxTokens = Infinity } = options;
+
+  if (!FIM_MODES.includes(mode)) {
+    throw new Error(`Invalid FIM mode: ${mode}. Use 'PSM' or 'SPM'`);
+  }
+  if (maxTokens !== Infinity && (!Number.isInteger(maxTokens) || maxTokens < 3)) {
+    throw new Error(`maxTokens must be an integer of at least 3 (the FIM tokens), got ${maxTokens}`);
+  }
+
+  if (typeof encoding === 'string') {
+    encoding = await getEncoding(encoding);
+  }
+  const ids = fimTokenIds(encoding);
+
+  // Special token text in the document is an error, not a prompt injection
+  let prefixTokens = encoding.encode(prefix);
+  let suffixTokens = encoding.encode(suffix);
+  const budget = maxTokens - 3;
+  let keptPrefix = prefix;
+  let keptSuffix = suffix;
+  let truncated = false;
+
+  if (prefixTokens.length + suffixTokens.length > budget) {
+    truncated = true;
+    const prefixKeep = Math.min(prefixTokens.length, Math.max(Math.ceil(budget / 2), budget - suffixTokens.length));
+    const suffixKeep = Math.min(suffixTokens.length, budget - prefixKeep);
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    // Keep the end of the prefix
+    const prefixBytes = encoder.encode(prefix);
+    const prefixOffsets = encoding._tokenByteOffsets(prefixTokens);
+    const start = snapStart(prefixBytes, prefixOffsets, prefixTokens.length - prefixKeep);
+    prefixTokens = prefixTokens.slice(start);
+    keptPrefix = decoder.decode(prefixBytes.subarray(prefixOffsets[start]));
+
+    // Keep the start of the suffix
+    const suffixBytes = encoder.encode(suffix);
+    const suffixOffsets = encoding._tokenByteOffsets(suffixTokens);
+    const end = snapEnd(suffixBytes, suffixOffsets, suffixKeep);
+    suffixTokens = suffixTokens.slice(0, end);
+    keptSuffix = decoder.decode(suffixBytes.subarray(0, suffixOffsets[end]));
+  }
+
+  const tokens = mode === 'PSM'
+    ? [ids.prefix, ...prefixTokens, ids.suffix, ...suffixTokens, ids.middle]
+    : [ids.prefix, ids.suffix, ...suffixTokens, ids.middle, ...prefixTokens];
+
+  return {
+    tokens,
+    mode,
+    prefix: keptPrefix,
+    suffix: keptSuffix,
+    prefixTokens: prefixTokens.length,
+    suffixTokens: suffixTokens.length,
+    truncated,
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Streaming Decoder
+ * Incremental decoding for tokens that arrive one at a time (model output)
+ *
+ * A token's bytes are not always whole characters: an emoji or CJK character
+ * can be split over two or three tokens (see decodeSingleTokenBytes). Decoding
+ * each token on its own produces replacement characters, so the streaming
+ * decoder holds back an incomplete UTF-8 sequence at the end of what it has
+ * seen and only emits text once the sequence is complete.
+ */
+
+const ERROR_POLICIES = new Set(['replace', 'ignore', 'strict']);
+
+/**
+ * Number of trailing bytes that start a UTF-8 sequence without finishing it
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {number} 0-3
+ */
+function incompleteTailLength(bytes) {
+  // A sequence is at most 4 bytes, so its lead byte is within the last 3
+  for (let k = 1; k <= 3 && k <= bytes.length; k++) {
+    const byte = bytes[bytes.length - k];
+    // Continuation bytes look like 10xxxxxx; keep looking for the lead byte
+    if ((byte & 0xC0) === 0x80) continue;
+    if (byte < 0xC0) return 0;
+
+    const sequenceLength = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : 2;
+    return sequenceLength > k ? k : 0;
+  }
+  return 0;
+}
+
+/**
+ * Decode UTF-8, dropping invalid bytes
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+function decodeIgnoringErrors(bytes) {
+  const fatal = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+  try {
+    return fatal.decode(bytes);
+  } catch (e) {
+    // Slow path: decode one sequence at a time and skip bytes that fail
+  }
+
+  let text = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    const sequenceLength = byte < 0x80 ? 1 : byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : byte >= 0xC0 ? 2 : 1;
+    try {
+      text += fatal.decode(bytes.subarray(i, i + sequenceLength));
+      i += sequenceLength;
+    } catch (e) {
+      i++;
+    }
+  }
+  return text;
+}
+
+/**
+ * Incremental decoder with push()/flush()
+ *
+ * @example
+ * const decoder = encoding.createDecoder();
+ * for await (const token of tokenStream) {
+ *   output.textContent += decoder.push(token);  // only completed characters
+ * }
+ * output.textContent += decoder.flush();        // trailing bytes, per errors policy
+ */
+export class StreamingDecoder {
+  /**
+   * @param {Encoding} encoding - Encoding to use
+   * @param {Object} options - Decoder options
+   * @param {'replace'|'ignore'|'strict'} options.errors - How invalid bytes are handled (default: 'replace')
+   */
+  constructor(encoding, options = {}) {
+    const errors = options.errors || 'replace';
+    if (!ERROR_POLICIES.has(errors)) {
+      throw new Error(`Unknown errors policy: ${errors}. Expected 'replace', 'ignore' or 'strict'`);
+    }
+
+    this._encoding = encoding;
+    this._errors = errors;
+    // Bytes of an incomplete UTF-8 sequence from earlier tokens
+    this._pending = new Uint8Array(0);
+  }
+
+  /**
+   * Number of bytes held back waiting for the rest of a character
+   * @returns {number}
+   */
+  get pendingBytes() {
+    return this._pending.length;
+  }
+
+  /**
+   * Add tokens
+   * @param {number|number[]} tokens - Token ID or array of token IDs
+   * @returns {string} Text completed by these tokens (may be empty)
+   * @throws {Error} On an invalid token ID, or invalid UTF-8 with errors: 'strict'
+   */
+  push(tokens) {
+    const bytes = this._encoding.decodeBytes(typeof tokens === 'number' ? [tokens] : tokens);
+
+    let buffer = bytes;
+    if (this._pending.length > 0) {
+      buffer = new Uint8Array(this._pending.length + bytes.length);
+      buffer.set(this._pending);
+      buffer.set(bytes, this._pending.length);
+    }
+
+    const complete = buffer.length - incompleteTailLength(buffer);
+    // Copy the tail, since decodeBytes() may return a view into the vocabulary
+    this._pending = buffer.slice(complete);
+    return this._decode(buffer.subarray(0, complete));
+  }
+
+  /**
+   * Decode any held-back bytes and reset the decoder
+   * With 'replace' the trailing bytes become U+FFFD, with 'ignore' they are
+   * dropped, and with 'strict' an error is thrown.
+   * @returns {string} Remaining text
+   * @throws {Error} If bytes are pending and errors is 'strict'
+   */
+  flush() {
+    const pending = this._pending;
+    this._pending = new Uint8Array(0);
+    return this._decode(pending);
+  }
+
+  /**
+   * Decode bytes with the configured errors policy
+   * @private
+   */
+  _decode(bytes) {
+    if (bytes.length === 0) return '';
+
+    if (this._errors === 'ignore') {
+      return decodeIgnoringErrors(bytes);
+    }
+
+    const decoder = new TextDecoder('utf-8', {
+      fatal: this._errors === 'strict',
+      ignoreBOM: true,
+    });
+    return decoder.decode(bytes);
+  }
+}
+
+// Lets the module be imported where there is no TransformStream (e.g. Node.js 16);
+// only constructing the stream needs it
+const BaseTransformStream = typeof TransformStream !== 'undefined' ? TransformStream : class {
+  constructor() {
+    throw new Error('TokenDecoderStream needs TransformStream (a modern browser or Node.js 18+); use createDecoder() instead');
+  }
+};
+
+/**
+ * TransformStream of tokens to text
+ *
+ * Input chunks are token IDs or arrays of token IDs; output chunks are the
+ * completed text for each one. Empty strings are not enqueued.
+ *
+ * @example
+ * const textStream = tokenStream.pipeThrough(new TokenDecoderStream(encoding));
+ * for await (const text of textStream) {
+ *   output.textContent += text;
+ * }
+ */
+export class TokenDecoderStream extends BaseTransformStream {
+  /**
+   * @param {Encoding} encoding - Encoding to use
+   * @param {Object} options - Same options as StreamingDecoder
+   */
+  constructor(encoding, options = {}) {
+    const decoder = new StreamingDecoder(encoding, options);
+    super({
+      transform(chunk, controller) {
+        const text = decoder.push(chunk);
+        if (text) controller.enqueue(text);
+      },
+      flush(controller) {
+        const text = decoder.flush();
+        if (text) controller.enqueue(text);
+      },
+    });
+  }
+}
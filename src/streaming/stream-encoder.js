@@ -0,0 +1,236 @@
+/**
+ * Streaming Encoder
+ * Incremental encoding for text that arrives in chunks (LLM output, file reads)
+ *
+ * encode() needs the whole string because the split pattern must see whole
+ * pieces: appending text can change how the end of the buffer splits
+ * ("don" + "'t" is one piece, not two). The streaming encoder runs the same
+ * two stages as encode() on a growing buffer and only emits tokens for text
+ * that can no longer change:
+ *
+ *   1. Special tokens - text is split around allowed special tokens. A match
+ *      is final once the buffer extends a full special token length past its
+ *      start; text that could still begin a special token is held back.
+ *   2. Pre-tokenizer pieces - the last UNSTABLE_PIECES pieces of the current
+ *      segment are held back, everything before them goes through BPE.
+ *
+ * The concatenated output of push() and end() is identical to encode() on
+ * the full text.
+ */
+
+/**
+ * Number of trailing split-pattern pieces that may still change
+ *
+ * New text can only extend or re-split the pieces at the end of the buffer.
+ * For the built-in patterns that reaches at most two pieces back: an optional
+ * contraction suffix lets "l" + "'l" become "l'll" in o200k_base, and "'" +
+ * "l" become "'ll" in p50k_base. Randomized tests against encode() found no
+ * case that reaches further.
+ */
+const UNSTABLE_PIECES = 2;
+
+/**
+ * Incremental encoder with push()/end()
+ *
+ * @example
+ * const encoder = encoding.createEncoder();
+ * for await (const chunk of llmStream) {
+ *   const tokens = encoder.push(chunk);  // tokens that are now final
+ *   total += tokens.length;
+ * }
+ * total += encoder.end().length;         // the held-back tail
+ */
+export class StreamingEncoder {
+  /**
+   * @param {Encoding} encoding - Encoding to use
+   * @param {Object} options - Same special token options as encode()
+   * @param {Set<string>|'all'} options.allowedSpecial - Set of allowed special tokens or 'all'
+   * @param {Set<string>|'all'} options.disallowedSpecial - Set of disallowed special tokens or 'all'
+   */
+  constructor(encoding, options = {}) {
+    const { allowedSpecial, disallowedSet } = encoding._resolveSpecialOptions(options);
+
+    this._encoding = encoding;
+    this._allowedSpecial = allowedSpecial;
+    this._disallowedSet = disallowedSet;
+
+    // Own copy of the special pattern, since scanning moves its lastIndex
+    this._specialPattern = encoding._splitsOnSpecial(allowedSpecial)
+      ? new RegExp(encoding._specialPattern.source, 'g')
+      : null;
+
+    let maxSpecialLength = 0;
+    for (const token of Object.keys(encoding._specialTokens)) {
+      maxSpecialLength = Math.max(maxSpecialLength, token.length);
+    }
+    this._maxSpecialLength = maxSpecialLength;
+
+    // Text not yet split around special tokens (may start a special token)
+    this._pending = '';
+    // Ordinary text of the current segment whose pieces have not been emitted
+    this._segment = '';
+    // End of the text seen so far, for disallowed tokens spanning chunks
+    this._checkTail = '';
+    this._ended = false;
+  }
+
+  /**
+   * Add a chunk of text
+   * @param {string} chunk - Next chunk of text
+   * @returns {number[]} Tokens that became final with this chunk (may be empty)
+   * @throws {Error} If the text contains a disallowed special token
+   */
+  push(chunk) {
+    if (this._ended) {
+      throw new Error('Cannot push to a streaming encoder after end()');
+    }
+    if (!chunk) return [];
+
+    this._checkDisallowed(chunk);
+
+    const tokens = [];
+    if (this._specialPattern) {
+      this._pending += chunk;
+      this._splitSpecial(tokens, false);
+    } else {
+      this._segment += chunk;
+    }
+    this._emitPieces(tokens, false);
+    return tokens;
+  }
+
+  /**
+   * Finish the stream and encode all held-back text
+   * @returns {number[]} Remaining tokens
+   */
+  end() {
+    if (this._ended) {
+      throw new Error('Streaming encoder has already ended');
+    }
+    this._ended = true;
+
+    const tokens = [];
+    if (this._specialPattern) {
+      this._splitSpecial(tokens, true);
+    }
+    this._emitPieces(tokens, true);
+    return tokens;
+  }
+
+  /**
+   * Check a chunk for disallowed special tokens, including ones that start
+   * in an earlier chunk
+   * @private
+   */
+  _checkDisallowed(chunk) {
+    if (this._disallowedSet.size === 0) return;
+
+    const text = this._checkTail + chunk;
+    this._encoding._checkDisallowedSpecial(text, this._disallowedSet);
+    this._checkTail = text.slice(-(this._maxSpecialLength - 1) || text.length);
+  }
+
+  /**
+   * Move decided text from the pending buffer into segments, emitting allowed
+   * special tokens between them
+   *
+   * Scanning resumes where the previous call stopped, so matches are found
+   * exactly as encode()'s single matchAll() over the full text would.
+   * @private
+   */
+  _splitSpecial(tokens, final) {
+    const text = this._pending;
+    const pattern = this._specialPattern;
+
+    // A match starting before this point cannot be changed by more text
+    const decidedEnd = final ? text.length : Math.max(text.length - this._maxSpecialLength + 1, 0);
+    let decided = decidedEnd;
+    let consumed = 0;
+
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null && match.index < decidedEnd) {
+      const specialToken = match[0];
+      const matchEnd = match.index + specialToken.length;
+      decided = Math.max(decided, matchEnd);
+
+      if (this._allowedSpecial === 'all' || this._allowedSpecial.has(specialToken)) {
+        this._segment += text.slice(consumed, match.index);
+        this._emitPieces(tokens, true);
+        tokens.push(this._encoding._specialTokens[specialToken]);
+        consumed = matchEnd;
+      }
+    }
+
+    this._segment += text.slice(consumed, decided);
+    this._pending = text.slice(decided);
+  }
+
+  /**
+   * Encode the stable pieces of the current segment
+   * @private
+   * @param {number[]} tokens - Output array
+   * @param {boolean} final - True when the segment is complete
+   */
+  _emitPieces(tokens, final) {
+    if (!this._segment) return;
+
+    const pieces = [...this._segment.matchAll(this._encoding._pattern)];
+    const stableCount = final ? pieces.length : pieces.length - UNSTABLE_PIECES;
+    if (stableCount <= 0) {
+      if (final) this._segment = '';
+      return;
+    }
+
+    for (let i = 0; i < stableCount; i++) {
+      this._encoding._encodePiece(pieces[i][0], tokens);
+    }
+
+    const last = pieces[stableCount - 1];
+    this._segment = final ? '' : this._segment.slice(last.index + last[0].length);
+  }
+}
+
+// Lets the module be imported where there is no TransformStream (e.g. Node.js 16);
+// only constructing the stream needs it
+const BaseTransformStream = typeof TransformStream !== 'undefined' ? TransformStream : class {
+  constructor() {
+    throw new Error('TokenEncoderStream needs TransformStream (a modern browser or Node.js 18+); use createEncoder() instead');
+  }
+};
+
+/**
+ * TransformStream of text chunks to token arrays
+ *
+ * Each output chunk is the array of tokens that became final with one input
+ * chunk; empty arrays are not enqueued. Byte streams need a TextDecoderStream
+ * in front.
+ *
+ * @example
+ * const response = await fetch('/large-file.txt');
+ * const tokenStream = response.body
+ *   .pipeThrough(new TextDecoderStream())
+ *   .pipeThrough(new TokenEncoderStream(encoding));
+ * for await (const tokens of tokenStream) {
+ *   total += tokens.length;
+ * }
+ */
+export class TokenEncoderStream extends BaseTransformStream {
+  /**
+   * @param {Encoding} encoding - Encoding to use
+   * @param {Object} options - Same special token options as encode()
+   */
+  constructor(encoding, options = {}) {
+    const encoder = new StreamingEncoder(encoding, options);
+    super({
+      transform(chunk, controller) {
+        const tokens = encoder.push(chunk);
+        if (tokens.length > 0) controller.enqueue(tokens);
+      },
+      flush(controller) {
+        const tokens = encoder.end();
+        if (tokens.length > 0) controller.enqueue(tokens);
+      },
+    });
+  }
+}
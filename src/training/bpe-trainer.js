@@ -0,0 +1,333 @@
+/**
+ * BPE Trainer
+ * Based on tiktoken's _educational.py (bpe_train)
+ *
+ * Learns a byte-level vocabulary from a corpus. The corpus is split with the
+ * same pattern the encoding will use, and the most frequent adjacent pair of
+ * tokens inside a piece is merged into a new token until the vocabulary
+ * reaches the target size. Ranks are assigned in merge order, which is what
+ * BytePairEncoder expects: a token always ranks after the two tokens it was
+ * built from.
+ *
+ * Ties are broken by the pair's bytes (left token first, then right token,
+ * compared bytewise), so the same corpus always yields the same vocabulary
+ * regardless of the order pieces were first seen in.
+ */
+
+import { BytePairEncoder } from '../core/bpe.js';
+import { compilePattern } from '../core/encoding.js';
+import { RankTable } from '../core/rank-table.js';
+import { ENCODING_CONSTRUCTORS } from '../encodings/registry.js';
+import { serializeTiktoken } from '../loaders/vocab-format.js';
+
+// Pair keys are left * PAIR_BASE + right, which stays an exact integer
+const PAIR_BASE = 2 ** 21;
+
+// Trailing pieces of a stream chunk that may still change when more text
+// arrives (same reasoning as the streaming encoder)
+const UNSTABLE_PIECES = 2;
+
+/**
+ * Compare two byte sequences lexicographically
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {number} Negative, zero or positive
+ */
+function compareBytes(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Count pattern pieces in a corpus
+ * Strings in an array (or other iterable) are separate documents; an async
+ * iterable is one continuous text split into chunks (e.g. a file stream).
+ * @param {string|Iterable<string>|AsyncIterable<string|Uint8Array>} corpus
+ * @param {RegExp} pattern - Split pattern
+ * @param {Function|null} onProgress - Progress callback
+ * @returns {Promise<Map<string, number>>} Piece → occurrence count
+ */
+async function countPieces(corpus, pattern, onProgress) {
+  const counts = new Map();
+  let pieces = 0;
+
+  const addPieces = (matches) => {
+    for (const match of matches) {
+      counts.set(match[0], (counts.get(match[0]) || 0) + 1);
+    }
+    pieces += matches.length;
+  };
+
+  const report = () => {
+    if (onProgress) onProgress({ phase: 'count', pieces, uniquePieces: counts.size });
+  };
+
+  if (typeof corpus === 'string') {
+    addPieces([...corpus.matchAll(pattern)]);
+    report();
+    return counts;
+  }
+
+  if (corpus && typeof corpus[Symbol.asyncIterator] === 'function') {
+    const decoder = new TextDecoder();
+    let carry = '';
+    for await (const chunk of corpus) {
+      carry += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+      // Hold back the pieces at the end that more text could still extend
+      const matches = [...carry.matchAll(pattern)];
+      const stable = matches.length - UNSTABLE_PIECES;
+      if (stable > 0) {
+        addPieces(matches.slice(0, stable));
+        const last = matches[stable - 1];
+        carry = carry.slice(last.index + last[0].length);
+        report();
+      }
+    }
+    addPieces([...(carry + decoder.decode()).matchAll(pattern)]);
+    report();
+    return counts;
+  }
+
+  if (corpus && typeof corpus[Symbol.iterator] === 'function') {
+    for (const document of corpus) {
+      if (typeof document !== 'string') {
+        throw new Error(`Corpus documents must be strings, got ${typeof document}`);
+      }
+      addPieces([...document.matchAll(pattern)]);
+      report();
+    }
+    return counts;
+  }
+
+  throw new Error('Corpus must be a string, an iterable of strings or an async iterable of text chunks');
+}
+
+/**
+ * Max-heap of candidate pairs with lazy deletion
+ * Entries are pushed whenever a pair's count changes; stale entries (whose
+ * count no longer matches) are discarded when they reach the top.
+ * @private
+ */
+class PairHeap {
+  constructor(compare) {
+    this._items = [];
+    this._compare = compare;
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  push(item) {
+    const items = this._items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this._compare(items[i], items[parent]) <= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this._items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this._compare(items[left], items[best]) > 0) best = left;
+        if (right < items.length && this._compare(items[right], items[best]) > 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Train a byte-level BPE vocabulary
+ *
+ * @param {string|Iterable<string>|AsyncIterable<string|Uint8Array>} corpus - Training text:
+ *   a string, an array of documents, or a stream of chunks (Node.js file stream, ReadableStream)
+ * @param {Object} options - Training options
+ * @param {number} options.vocabSize - Target number of ordinary tokens, including the 256 single bytes
+ * @param {string} options.patStr - Split pattern (default: the pattern of options.encoding)
+ * @param {string} options.encoding - Encoding whose split pattern to use (default: 'cl100k_base')
+ * @param {number} options.minFrequency - Stop early once no pair occurs this often (default: 2)
+ * @param {Function} options.onProgress - Called with { phase: 'count', pieces, uniquePieces }
+ *   while reading the corpus and { phase: 'merge', completed, total, count } after each merge
+ * @returns {Promise<{mergeableRanks: Map<string, number>, patStr: string, vocabSize: number, tiktoken: string}>}
+ *   Base64-keyed ranks (pass to `new Encoding(...)` or `registerEncoding`), the split pattern,
+ *   the number of tokens learned, and the vocabulary as .tiktoken text
+ * @throws {Error} If the options or corpus are invalid
+ *
+ * @example
+ * const { mergeableRanks, patStr, tiktoken } = await trainBpe(documents, { vocabSize: 4096 });
+ * const dsl = new Encoding('dsl_base', patStr, mergeableRanks, { '<|endoftext|>': 4096 });
+ */
+export async function trainBpe(corpus, options = {}) {
+  const {
+    vocabSize,
+    encoding = 'cl100k_base',
+    minFrequency = 2,
+    onProgress = null,
+  } = options;
+
+  if (!Number.isInteger(vocabSize) || vocabSize < 256 || vocabSize > PAIR_BASE) {
+    throw new Error(`vocabSize must be an integer from 256 to ${PAIR_BASE}, got ${vocabSize}`);
+  }
+
+  let patStr = options.patStr;
+  if (patStr === undefined) {
+    const config = ENCODING_CONSTRUCTORS[encoding];
+    if (!config) {
+      throw new Error(
+        `Unknown encoding: ${encoding}. ` +
+        `Available encodings: ${Object.keys(ENCODING_CONSTRUCTORS).join(', ')}`
+      );
+    }
+    patStr = config.patStr;
+  }
+  const pattern = compilePattern(patStr);
+
+  const pieceCounts = await countPieces(corpus, pattern, onProgress);
+
+  // Vocabulary: token id (= rank) → bytes, starting with every single byte
+  const tokenBytes = [];
+  const tokenIds = new Map();
+  for (let byte = 0; byte < 256; byte++) {
+    tokenBytes.push(Uint8Array.of(byte));
+    tokenIds.set(String.fromCharCode(byte), byte);
+  }
+
+  // Each distinct piece as a token sequence, with how often it occurs
+  const encoder = new TextEncoder();
+  const words = [];
+  const wordCounts = [];
+  for (const [piece, count] of pieceCounts) {
+    const bytes = encoder.encode(piece);
+    if (bytes.length < 2) continue;
+    words.push(Array.from(bytes));
+    wordCounts.push(count);
+  }
+
+  const pairCounts = new Map();
+  const pairWords = new Map();
+
+  const comparePairs = (a, b) => {
+    if (a.count !== b.count) return a.count - b.count;
+    const left = compareBytes(tokenBytes[b.left], tokenBytes[a.left]);
+    return left !== 0 ? left : compareBytes(tokenBytes[b.right], tokenBytes[a.right]);
+  };
+  const heap = new PairHeap(comparePairs);
+
+  const addPairs = (wordIndex, sign) => {
+    const word = words[wordIndex];
+    const count = wordCounts[wordIndex] * sign;
+    for (let i = 0; i < word.length - 1; i++) {
+      const key = word[i] * PAIR_BASE + word[i + 1];
+      pairCounts.set(key, (pairCounts.get(key) || 0) + count);
+      if (sign > 0) {
+        let set = pairWords.get(key);
+        if (!set) pairWords.set(key, set = new Set());
+        set.add(wordIndex);
+      }
+    }
+  };
+
+  for (let i = 0; i < words.length; i++) addPairs(i, 1);
+  for (const [key, count] of pairCounts) {
+    heap.push({ key, left: Math.floor(key / PAIR_BASE), right: key % PAIR_BASE, count });
+  }
+
+  const total = vocabSize - 256;
+  let completed = 0;
+
+  while (tokenBytes.length < vocabSize && heap.size > 0) {
+    const best = heap.pop();
+    if (pairCounts.get(best.key) !== best.count) continue;  // stale entry
+    if (best.count < minFrequency) break;
+
+    // The merged bytes may already be a token, reached through another pair
+    const leftBytes = tokenBytes[best.left];
+    const rightBytes = tokenBytes[best.right];
+    const merged = new Uint8Array(leftBytes.length + rightBytes.length);
+    merged.set(leftBytes);
+    merged.set(rightBytes, leftBytes.length);
+    const mergedKey = String.fromCharCode(...merged);
+
+    let mergedId = tokenIds.get(mergedKey);
+    if (mergedId === undefined) {
+      mergedId = tokenBytes.length;
+      tokenBytes.push(merged);
+      tokenIds.set(mergedKey, mergedId);
+      completed++;
+    }
+
+    // Re-count only the words that contain the pair
+    const changed = new Set();
+    for (const wordIndex of pairWords.get(best.key)) {
+      const word = words[wordIndex];
+      let found = false;
+      for (let i = 0; i < word.length - 1; i++) {
+        if (word[i] === best.left && word[i + 1] === best.right) { found = true; break; }
+      }
+      if (!found) continue;
+
+      addPairs(wordIndex, -1);
+      const next = [];
+      for (let i = 0; i < word.length; i++) {
+        if (i < word.length - 1 && word[i] === best.left && word[i + 1] === best.right) {
+          next.push(mergedId);
+          i++;
+        } else {
+          next.push(word[i]);
+        }
+      }
+      words[wordIndex] = next;
+      addPairs(wordIndex, 1);
+
+      for (let i = 0; i < next.length - 1; i++) {
+        changed.add(next[i] * PAIR_BASE + next[i + 1]);
+      }
+      for (let i = 0; i < word.length - 1; i++) {
+        changed.add(word[i] * PAIR_BASE + word[i + 1]);
+      }
+    }
+    pairWords.delete(best.key);
+
+    for (const key of changed) {
+      const count = pairCounts.get(key);
+      if (count > 0) {
+        heap.push({ key, left: Math.floor(key / PAIR_BASE), right: key % PAIR_BASE, count });
+      } else {
+        pairCounts.delete(key);
+        pairWords.delete(key);
+      }
+    }
+
+    if (onProgress) onProgress({ phase: 'merge', completed, total, count: best.count });
+  }
+
+  const mergeableRanks = new Map();
+  tokenBytes.forEach((bytes, rank) => mergeableRanks.set(BytePairEncoder.bytesToKey(bytes), rank));
+
+  return {
+    mergeableRanks,
+    patStr,
+    vocabSize: tokenBytes.length,
+    tiktoken: serializeTiktoken(RankTable.from(mergeableRanks)),
+  };
+}
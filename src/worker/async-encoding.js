@@ -0,0 +1,319 @@
+/**
+ * AsyncEncoding - Worker-backed tokenizer interface
+ *
+ * Mirrors the Encoding API with promise-returning methods. The vocabulary is
+ * loaded and kept inside a dedicated Web Worker (see encoding-worker.js), so
+ * large tables like o200k_base never block the main thread.
+ */
+
+import { encodingNameForModel } from '../encodings/models.js';
+
+/**
+ * Create the error used when a request is cancelled
+ * @returns {Error}
+ */
+function abortError() {
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException('The operation was aborted', 'AbortError');
+  }
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class AsyncEncoding {
+  /**
+   * Use AsyncEncoding.create() or AsyncEncoding.forModel() instead
+   * @param {Worker} worker - Worker running encoding-worker.js
+   * @private
+   */
+  constructor(worker) {
+    this._worker = worker;
+    this._nextId = 1;
+    this._pending = new Map();
+
+    this._worker.onmessage = (event) => this._handleMessage(event.data);
+    this._worker.onerror = (event) => {
+      const error = new Error(`Encoding worker failed: ${event.message || 'unknown error'}`);
+      for (const request of this._pending.values()) {
+        request.reject(error);
+      }
+      this._pending.clear();
+    };
+  }
+
+  /**
+   * Start a worker and load an encoding inside it
+   * @param {string} encodingName - Name of the encoding (e.g., 'cl100k_base')
+   * @param {Object} options - Options
+   * @param {Worker} options.worker - Existing worker running encoding-worker.js (optional)
+   * @returns {Promise<AsyncEncoding>} Ready-to-use instance
+   *
+   * @example
+   * const enc = await AsyncEncoding.create('o200k_base');
+   * const tokens = await enc.encode('hello world');
+   */
+  static async create(encodingName, options = {}) {
+    const worker = options.worker || new Worker(
+      new URL('./encoding-worker.js', import.meta.url),
+      { type: 'module' }
+    );
+
+    const asyncEncoding = new AsyncEncoding(worker);
+    try {
+      const info = await asyncEncoding._request({ type: 'init', encodingName });
+      asyncEncoding.name = info.name;
+      asyncEncoding.maxTokenValue = info.maxTokenValue;
+      asyncEncoding.nVocab = info.nVocab;
+      asyncEncoding.eotToken = info.eotToken;
+      asyncEncoding.specialTokensSet = new Set(info.specialTokens);
+    } catch (error) {
+      asyncEncoding.terminate();
+      throw error;
+    }
+    return asyncEncoding;
+  }
+
+  /**
+   * Start a worker with the encoding for a specific model
+   * @param {string} modelName - Model name (e.g., 'gpt-4o', or a snapshot or fine-tuned id)
+   * @param {Object} options - Same options as create()
+   * @returns {Promise<AsyncEncoding>} Ready-to-use instance
+   */
+  static async forModel(modelName, options = {}) {
+    const encodingName = encodingNameForModel(modelName);
+
+    if (!encodingName) {
+      throw new Error(
+        `No encoding found for model: ${modelName}. ` +
+        `If this is a new model, you may need to update the registry.`
+      );
+    }
+
+    return AsyncEncoding.create(encodingName, options);
+  }
+
+  // ==================== Encoding Methods ====================
+
+  /**
+   * Encode text into tokens, ignoring special tokens
+   * @param {string} text - Text to encode
+   * @returns {Promise<number[]>} Array of token IDs
+   */
+  encodeOrdinary(text) {
+    return this._call('encodeOrdinary', [text]);
+  }
+
+  /**
+   * Encode text with special token handling
+   * @param {string} text - Text to encode
+   * @param {Object} options - Same options as Encoding.encode()
+   * @returns {Promise<number[]>} Array of token IDs
+   */
+  encode(text, options = {}) {
+    return this._call('encode', [text, options]);
+  }
+
+  /**
+   * Encode many texts in the worker
+   * The worker yields between texts, so a batch can be cancelled part way through.
+   *
+   * @param {string[]} texts - Texts to encode
+   * @param {Object} options - Encoding options plus batch controls
+   * @param {function({completed: number, total: number}): void} options.onProgress - Progress callback
+   * @param {AbortSignal} options.signal - Signal to cancel the batch
+   * @returns {Promise<number[][]>} Tokens for each text, in input order
+   * @throws {DOMException} AbortError if the signal is aborted
+   *
+   * @example
+   * const controller = new AbortController();
+   * const results = await enc.encodeBatch(docs, {
+   *   onProgress: ({ completed, total }) => console.log(`${completed}/${total}`),
+   *   signal: controller.signal,
+   * });
+   */
+  encodeBatch(texts, options = {}) {
+    const { onProgress, signal, ...encodeOptions } = options;
+    return this._request(
+      { type: 'encodeBatch', texts, options: encodeOptions },
+      { onProgress, signal }
+    );
+  }
+
+  /**
+   * Encode text with the UTF-16 span of each token (see Encoding.encodeWithOffsets)
+   * @param {string} text - Text to encode
+   * @param {Object} options - Same options as Encoding.encode()
+   * @returns {Promise<Array<{token: number, start: number, end: number}>>}
+   */
+  encodeWithOffsets(text, options = {}) {
+    return this._call('encodeWithOffsets', [text, options]);
+  }
+
+  /**
+   * Encode a single token (must be exact match in vocabulary)
+   * @param {string|Uint8Array} textOrBytes - Text or bytes to encode
+   * @returns {Promise<number>} Token ID
+   */
+  encodeSingleToken(textOrBytes) {
+    return this._call('encodeSingleToken', [textOrBytes]);
+  }
+
+  // ==================== Decoding Methods ====================
+
+  /**
+   * Decode tokens into bytes
+   * @param {number[]} tokens - Array of token IDs
+   * @returns {Promise<Uint8Array>} Decoded bytes
+   */
+  decodeBytes(tokens) {
+    return this._call('decodeBytes', [tokens]);
+  }
+
+  /**
+   * Decode tokens into a string
+   * @param {number[]} tokens - Array of token IDs
+   * @param {string} errors - How to handle decode errors ('replace', 'ignore', 'strict')
+   * @returns {Promise<string>} Decoded text
+   */
+  decode(tokens, errors = 'replace') {
+    return this._call('decode', [tokens, errors]);
+  }
+
+  /**
+   * Decode a single token into bytes
+   * @param {number} token - Token ID
+   * @returns {Promise<Uint8Array>} Token bytes
+   */
+  decodeSingleTokenBytes(token) {
+    return this._call('decodeSingleTokenBytes', [token]);
+  }
+
+  /**
+   * Decode each token into its byte representation
+   * @param {number[]} tokens - Array of token IDs
+   * @returns {Promise<Uint8Array[]>} Array of byte arrays
+   */
+  decodeTokensBytes(tokens) {
+    return this._call('decodeTokensBytes', [tokens]);
+  }
+
+  // ==================== Truncation Methods ====================
+
+  /**
+   * Truncate text to fit a token budget (see Encoding.truncate)
+   * @param {string} text - Text to truncate
+   * @param {number} maxTokens - Maximum number of tokens in the result
+   * @param {Object} options - Same options as Encoding.truncate()
+   * @returns {Promise<{text: string, tokenCount: number, truncated: boolean}>}
+   */
+  truncate(text, maxTokens, options = {}) {
+    return this._call('truncate', [text, maxTokens, options]);
+  }
+
+  /**
+   * Extract the text covered by a range of tokens (see Encoding.sliceTokens)
+   * @param {string} text - Source text
+   * @param {number} start - Index of the first token
+   * @param {number} end - Index after the last token
+   * @param {Object} options - Options passed through to encode()
+   * @returns {Promise<{text: string, tokenCount: number}>}
+   */
+  sliceTokens(text, start = 0, end = undefined, options = {}) {
+    return this._call('sliceTokens', [text, start, end, options]);
+  }
+
+  // ==================== Utility Methods ====================
+
+  /**
+   * Check if a token ID is a special token
+   * @param {number} token - Token ID to check
+   * @returns {Promise<boolean>} True if token is a special token
+   */
+  isSpecialToken(token) {
+    return this._call('isSpecialToken', [token]);
+  }
+
+  /**
+   * Stop the worker. Pending requests are rejected.
+   */
+  terminate() {
+    this._worker.terminate();
+    for (const request of this._pending.values()) {
+      request.reject(new Error('AsyncEncoding was terminated'));
+    }
+    this._pending.clear();
+  }
+
+  /**
+   * String representation
+   * @returns {string}
+   */
+  toString() {
+    return `<AsyncEncoding '${this.name}'>`;
+  }
+
+  // ==================== Worker Messaging ====================
+
+  /**
+   * Call an Encoding method inside the worker
+   * @private
+   */
+  _call(method, args) {
+    return this._request({ type: 'call', method, args });
+  }
+
+  /**
+   * Send a request to the worker and wait for its result
+   * @private
+   */
+  _request(message, { onProgress, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    const id = this._nextId++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this._pending.delete(id);
+        this._worker.postMessage({ type: 'cancel', targetId: id });
+        reject(abortError());
+      };
+
+      const cleanup = () => signal?.removeEventListener('abort', onAbort);
+
+      this._pending.set(id, {
+        onProgress,
+        resolve: (value) => { cleanup(); resolve(value); },
+        reject: (error) => { cleanup(); reject(error); },
+      });
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this._worker.postMessage({ ...message, id });
+    });
+  }
+
+  /**
+   * Route a worker message to its pending request
+   * @private
+   */
+  _handleMessage(data) {
+    const request = this._pending.get(data.id);
+    if (!request) return;
+
+    if (data.type === 'progress') {
+      request.onProgress?.({ completed: data.completed, total: data.total });
+      return;
+    }
+
+    this._pending.delete(data.id);
+    if (data.type === 'result') {
+      request.resolve(data.result);
+    } else {
+      const error = new Error(data.error.message);
+      error.name = data.error.name;
+      request.reject(error);
+    }
+  }
+}
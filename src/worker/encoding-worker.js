@@ -0,0 +1,163 @@
+/**
+ * Encoding Worker
+ * Web Worker entry point used by AsyncEncoding
+ *
+ * Loads the vocabulary and keeps the Encoding instance inside the worker so
+ * that downloading, parsing and BPE never block the page's main thread.
+ *
+ * Protocol (all messages carry a request `id`):
+ *   main → worker: { type: 'init', encodingName }
+ *                  { type: 'call', method, args }
+ *                  { type: 'encodeBatch', texts, options }
+ *                  { type: 'cancel', targetId }
+ *   worker → main: { type: 'result', result }
+ *                  { type: 'progress', completed, total }
+ *                  { type: 'error', error: { name, message } }
+ */
+
+import { getEncoding } from '../encodings/registry.js';
+
+// Encoding methods that can be called through { type: 'call' }
+const CALLABLE_METHODS = new Set([
+  'encode',
+  'encodeOrdinary',
+  'encodeWithOffsets',
+  'encodeSingleToken',
+  'decode',
+  'decodeBytes',
+  'decodeSingleTokenBytes',
+  'decodeTokensBytes',
+  'truncate',
+  'sliceTokens',
+  'isSpecialToken',
+]);
+
+// Time budget between yields during batch work (ms)
+const YIELD_INTERVAL = 16;
+
+let encoding = null;
+// Ids of requests still running, and the ones among them the page cancelled
+const inFlight = new Set();
+const cancelled = new Set();
+
+/**
+ * Let queued messages (such as 'cancel') run before continuing
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Create the error used when a request is cancelled
+ * @returns {Error}
+ */
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Encode many texts, reporting progress and checking for cancellation
+ * @param {number} id - Request ID
+ * @param {string[]} texts - Texts to encode
+ * @param {Object} options - Options passed to encode()
+ * @returns {Promise<number[][]>} Tokens for each text
+ */
+async function encodeBatch(id, texts, options) {
+  const results = [];
+  let lastYield = performance.now();
+
+  for (let i = 0; i < texts.length; i++) {
+    results.push(encoding.encode(texts[i], options));
+
+    if (performance.now() - lastYield >= YIELD_INTERVAL) {
+      self.postMessage({ id, type: 'progress', completed: i + 1, total: texts.length });
+      await yieldToEventLoop();
+      lastYield = performance.now();
+
+      if (cancelled.has(id)) {
+        throw abortError();
+      }
+    }
+  }
+
+  self.postMessage({ id, type: 'progress', completed: texts.length, total: texts.length });
+  return results;
+}
+
+/**
+ * Copy byte views out of the vocabulary pool before posting
+ * Structured clone would otherwise copy the whole underlying buffer.
+ * @param {*} result - Method result
+ * @returns {*} Result safe to post
+ */
+function detachViews(result) {
+  if (result instanceof Uint8Array) {
+    return result.slice();
+  }
+  if (Array.isArray(result) && result[0] instanceof Uint8Array) {
+    return result.map(bytes => bytes.slice());
+  }
+  return result;
+}
+
+/**
+ * Summarize the loaded encoding for the main thread
+ * @returns {Object}
+ */
+function describeEncoding() {
+  return {
+    name: encoding.name,
+    maxTokenValue: encoding.maxTokenValue,
+    nVocab: encoding.nVocab,
+    eotToken: encoding.eotToken,
+    specialTokens: [...encoding.specialTokensSet],
+  };
+}
+
+self.onmessage = async (event) => {
+  const { id, type } = event.data;
+
+  if (type === 'cancel') {
+    // A cancel can cross a finished request's result; nothing would ever remove its id
+    if (inFlight.has(event.data.targetId)) {
+      cancelled.add(event.data.targetId);
+    }
+    return;
+  }
+
+  inFlight.add(id);
+  try {
+    let result;
+
+    if (type === 'init') {
+      encoding = await getEncoding(event.data.encodingName);
+      result = describeEncoding();
+    } else if (!encoding) {
+      throw new Error('Worker encoding is not initialized');
+    } else if (type === 'call') {
+      const { method, args } = event.data;
+      if (!CALLABLE_METHODS.has(method)) {
+        throw new Error(`Unknown Encoding method: ${method}`);
+      }
+      result = detachViews(encoding[method](...args));
+    } else if (type === 'encodeBatch') {
+      result = await encodeBatch(id, event.data.texts, event.data.options);
+    } else {
+      throw new Error(`Unknown worker request type: ${type}`);
+    }
+
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: 'error',
+      error: { name: error.name, message: error.message },
+    });
+  } finally {
+    inFlight.delete(id);
+    cancelled.delete(id);
+  }
+};
@@ -0,0 +1,267 @@
+/**
+ * Token Total Service Worker
+ * Makes the app and chosen vocabularies available without a network
+ *
+ * Two kinds of cache:
+ *   token-total-app-v<APP_VERSION>   The pages and src/ modules
+ *   token-total-vocab-<hash>         One per vocabulary file, named after the
+ *                                    first 16 hex digits of its hash in
+ *                                    ENCODING_CONSTRUCTORS
+ *
+ * Vocabularies are served cache first: their caches are named after the hash,
+ * so a cached file is never outdated, and a slow or flaky connection is not
+ * waited on. The app shell is served stale-while-revalidate: the cached copy
+ * answers at once and the network response updates the cache in the
+ * background, so a deploy shows up on the next load after it was fetched.
+ *
+ * The worker cannot import the registry, so the page sends it the chosen
+ * encodings with their current URLs and hashes (see src/offline/offline.js).
+ * A vocabulary whose hash changed gets a new cache and the old one is
+ * deleted, so an outdated file is never served.
+ *
+ * Protocol (replies go to the MessageChannel port sent with the message):
+ *   page → worker: { type: 'setEncodings', encodings: [{ name, url, hash }] }
+ *                  { type: 'getEncodings' }
+ *   worker → page: { type: 'result', result }
+ *                  { type: 'error', error: { name, message } }
+ *
+ * Bump APP_VERSION whenever APP_SHELL changes.
+ */
+
+const APP_VERSION = 3;
+const APP_CACHE = `token-total-app-v${APP_VERSION}`;
+const VOCAB_CACHE_PREFIX = 'token-total-vocab-';
+const META_CACHE = 'token-total-meta';
+
+// Synthetic URL under which the chosen encodings are stored
+const SELECTION_KEY = 'offline-encodings.json';
+
+// Paths relative to the worker's scope
+const APP_SHELL = [
+  './',
+  'index.html',
+  'how-it-works.html',
+  'manifest.webmanifest',
+  'public/icons/icon.svg',
+  'src/index.js',
+  'src/analysis/compare-encodings.js',
+  'src/analysis/corpus-stats.js',
+  'src/chat/chat-tokens.js',
+  'src/components/token-counter.js',
+  'src/core/bpe.js',
+  'src/core/encoding.js',
+  'src/core/rank-table.js',
+  'src/core/vocabulary.js',
+  'src/diagnostics/logger.js',
+  'src/diagnostics/stats.js',
+  'src/encodings/models.js',
+  'src/encodings/registry.js',
+  'src/loaders/cache-schema.js',
+  'src/loaders/node-backend.js',
+  'src/loaders/tiktoken-loader.js',
+  'src/loaders/vocab-format.js',
+  'src/offline/offline.js',
+  'src/pricing/pricing.js',
+  'src/prompts/context-budget.js',
+  'src/prompts/fim-prompt.js',
+  'src/streaming/stream-decoder.js',
+  'src/streaming/stream-encoder.js',
+  'src/training/bpe-trainer.js',
+  'src/worker/async-encoding.js',
+  'src/worker/encoding-worker.js',
+];
+
+/**
+ * Resolve a path against the worker's scope
+ */
+function scopedUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Name of the cache holding a vocabulary with the given hash
+ */
+function vocabCacheName(hash) {
+  return VOCAB_CACHE_PREFIX + hash.slice(0, 16);
+}
+
+// ==================== Lifecycle ====================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    // Bypass the HTTP cache so a new version never precaches stale files
+    await cache.addAll(APP_SHELL.map(path => new Request(scopedUrl(path), { cache: 'reload' })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('token-total-app-') && name !== APP_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// ==================== Requests ====================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(isVocabularyRequest(request) ? vocabularyResponse(request) : appResponse(event));
+});
+
+/**
+ * True for requests for files under public/encodings/
+ */
+function isVocabularyRequest(request) {
+  return request.url.startsWith(scopedUrl('public/encodings/'));
+}
+
+/**
+ * Cache first; vocabulary caches are only written by setEncodings()
+ */
+async function vocabularyResponse(request) {
+  const cached = await matchVocabulary(request.url);
+  return cached || fetch(request);
+}
+
+/**
+ * Find a vocabulary file in any vocabulary cache
+ */
+async function matchVocabulary(url) {
+  const names = await caches.keys();
+  for (const name of names) {
+    if (!name.startsWith(VOCAB_CACHE_PREFIX)) continue;
+    const cache = await caches.open(name);
+    const response = await cache.match(url);
+    if (response) return response;
+  }
+  return null;
+}
+
+/**
+ * Stale-while-revalidate: answer from the app cache when it has the file, and
+ * refresh the cached copy from the network in the background
+ */
+async function appResponse(event) {
+  const { request } = event;
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const network = fetch(request).then(async (response) => {
+    if (response.ok && APP_SHELL.some(path => scopedUrl(path) === request.url)) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (!cached) return network;
+  // Offline the refresh fails; the cached copy has already answered
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+// ==================== Offline Encodings ====================
+
+self.addEventListener('message', (event) => {
+  const port = event.ports[0];
+  if (!port) return;
+
+  event.waitUntil((async () => {
+    try {
+      const result = await handleMessage(event.data);
+      port.postMessage({ type: 'result', result });
+    } catch (error) {
+      port.postMessage({
+        type: 'error',
+        error: { name: error.name || 'Error', message: error.message || String(error) },
+      });
+    }
+  })());
+});
+
+/**
+ * Dispatch a page request
+ * @returns {Promise<*>} Reply result
+ */
+async function handleMessage(message) {
+  switch (message?.type) {
+    case 'setEncodings':
+      return setEncodings(message.encodings);
+    case 'getEncodings':
+      return getEncodings();
+    default:
+      throw new Error(`Unknown service worker message: ${message?.type}`);
+  }
+}
+
+/**
+ * Read the stored selection
+ * @returns {Promise<Array<{name: string, url: string, hash: string}>|null>} null if never set
+ */
+async function readSelection() {
+  const cache = await caches.open(META_CACHE);
+  const response = await cache.match(scopedUrl(SELECTION_KEY));
+  return response ? response.json() : null;
+}
+
+/**
+ * Cache the chosen vocabularies and delete every other one
+ * Files already cached under the same hash are not downloaded again.
+ */
+async function setEncodings(encodings) {
+  if (!Array.isArray(encodings)) {
+    throw new Error('setEncodings needs an array of { name, url, hash }');
+  }
+
+  const wanted = new Set();
+  for (const { name, url, hash } of encodings) {
+    const cacheName = vocabCacheName(hash);
+    wanted.add(cacheName);
+
+    const cache = await caches.open(cacheName);
+    if (await cache.match(url)) continue;
+
+    const response = await fetch(url, { cache: 'reload' });
+    if (!response.ok) {
+      throw new Error(`Failed to download ${name} for offline use: ${response.status} ${response.statusText}`);
+    }
+    await cache.put(url, response);
+  }
+
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(VOCAB_CACHE_PREFIX) && !wanted.has(name))
+    .map(name => caches.delete(name)));
+
+  const meta = await caches.open(META_CACHE);
+  await meta.put(scopedUrl(SELECTION_KEY), new Response(JSON.stringify(encodings), {
+    headers: { 'Content-Type': 'application/json' },
+  }));
+
+  return getEncodings();
+}
+
+/**
+ * Report the chosen encodings and whether each is cached
+ * @returns {Promise<Array<{name: string, url: string, hash: string, cached: boolean, size: number}>|null>}
+ *   Sizes in bytes (0 if not cached); null if nothing was ever chosen
+ */
+async function getEncodings() {
+  const selection = await readSelection();
+  if (!selection) return null;
+
+  const report = [];
+  for (const { name, url, hash } of selection) {
+    const cache = await caches.open(vocabCacheName(hash));
+    const response = await cache.match(url);
+    const size = response ? (await response.blob()).size : 0;
+    report.push({ name, url, hash, cached: Boolean(response), size });
+  }
+  return report;
+}
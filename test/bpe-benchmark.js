@@ -0,0 +1,150 @@
+/**
+ * BPE Merge Benchmark
+ * Run with: node test/bpe-benchmark.js
+ *
+ * Compares BytePairEncoder._bytePairMerge against the previous linear-scan
+ * implementation on pathological pieces (long letter runs, base64-like
+ * blobs, repeated characters). Verifies both produce identical tokens, and
+ * that encode() handles a single piece of 1.5 million letters.
+ */
+
+import { getEncoding, BytePairEncoder } from '../src/index.js';
+
+/**
+ * Previous O(n²) merge: rescans all parts for the minimum rank after every
+ * merge and removes merged parts with splice. Kept here as the reference,
+ * together with the base64-keyed Map it originally ran on.
+ */
+function referenceMerge(baseRanks, piece) {
+  const getRank = (start, end) => {
+    const rank = baseRanks.get(BytePairEncoder.bytesToKey(piece.slice(start, end)));
+    return rank !== undefined ? rank : Infinity;
+  };
+
+  const parts = [];
+  let minRank = { rank: Infinity, index: -1 };
+  for (let i = 0; i < piece.length - 1; i++) {
+    const rank = getRank(i, i + 2);
+    if (rank < minRank.rank) minRank = { rank, index: i };
+    parts.push({ pos: i, rank });
+  }
+  parts.push({ pos: piece.length - 1, rank: Infinity });
+  parts.push({ pos: piece.length, rank: Infinity });
+
+  const partRank = (i) => (i + 3 >= parts.length ? Infinity : getRank(parts[i].pos, parts[i + 3].pos));
+
+  while (minRank.rank !== Infinity) {
+    const i = minRank.index;
+    if (i > 0) parts[i - 1].rank = partRank(i - 1);
+    parts[i].rank = partRank(i);
+    parts.splice(i + 1, 1);
+
+    minRank = { rank: Infinity, index: -1 };
+    for (let j = 0; j < parts.length - 1; j++) {
+      if (parts[j].rank < minRank.rank) minRank = { rank: parts[j].rank, index: j };
+    }
+  }
+
+  const tokens = [];
+  for (let i = 0; i < parts.length - 1; i++) {
+    tokens.push(baseRanks.get(BytePairEncoder.bytesToKey(piece.slice(parts[i].pos, parts[i + 1].pos))));
+  }
+  return tokens;
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32)
+ */
+function random(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomString(length, alphabet, seed) {
+  const rand = random(seed);
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out += alphabet[Math.floor(rand() * alphabet.length)];
+  }
+  return out;
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const PIECES = [
+  { name: 'repeated "a" x 1,000', text: 'a'.repeat(1000) },
+  { name: 'repeated "a" x 10,000', text: 'a'.repeat(10000) },
+  { name: 'repeated "a" x 40,000', text: 'a'.repeat(40000) },
+  { name: 'base64-like letters x 40,000', text: randomString(40000, LETTERS, 1) },
+  { name: 'repeated "ab" x 20,000', text: 'ab'.repeat(20000) },
+  { name: 'CJK run x 10,000', text: randomString(10000, '的一是不了人我在有他这中大来上国个到说们为子和你地出道也时年', 2) },
+];
+
+const encoding = await getEncoding('cl100k_base');
+const ranks = encoding._mergeableRanks;
+const base64Ranks = new Map(Array.from(ranks.entries(), ([bytes, rank]) => [BytePairEncoder.bytesToKey(bytes), rank]));
+const encoder = new TextEncoder();
+
+console.log('\nBPE merge benchmark (cl100k_base)\n');
+console.log('piece'.padEnd(32) + 'bytes'.padStart(8) + 'reference'.padStart(14) + 'current'.padStart(12) + 'speedup'.padStart(10));
+
+let mismatches = 0;
+for (const { name, text } of PIECES) {
+  const piece = encoder.encode(text);
+  const reference = time(() => referenceMerge(base64Ranks, piece));
+  const current = time(() => BytePairEncoder.encode(ranks, piece));
+
+  const same = JSON.stringify(reference.result) === JSON.stringify(current.result);
+  if (!same) mismatches++;
+
+  console.log(
+    name.padEnd(32) +
+    String(piece.length).padStart(8) +
+    `${reference.ms.toFixed(1)}ms`.padStart(14) +
+    `${current.ms.toFixed(1)}ms`.padStart(12) +
+    `${(reference.ms / current.ms).toFixed(1)}x`.padStart(10) +
+    (same ? '' : '  MISMATCH')
+  );
+}
+
+// Short random pieces with repeated characters exercise the leftmost-first
+// rule when the same pair occurs at several positions
+const FUZZ_ALPHABET = 'aab ccd\n\t.,!0123éß你好🦊';
+const rand = random(3);
+for (let i = 0; i < 2000; i++) {
+  const text = randomString(1 + Math.floor(rand() * 40), FUZZ_ALPHABET, 100 + i);
+  const piece = encoder.encode(text);
+  if (JSON.stringify(referenceMerge(base64Ranks, piece)) !== JSON.stringify(BytePairEncoder.encode(ranks, piece))) {
+    console.log(`MISMATCH on random piece ${JSON.stringify(text)}`);
+    mismatches++;
+  }
+}
+
+// One huge piece through the whole encode() path (too slow for the reference,
+// so the round trip is checked instead)
+const HUGE_TEXT = randomString(1500000, LETTERS, 4);
+const huge = time(() => encoding.encode(HUGE_TEXT));
+const roundTrip = encoding.decode(huge.result) === HUGE_TEXT;
+if (!roundTrip) mismatches++;
+console.log(
+  `\nencode() of one ${HUGE_TEXT.length.toLocaleString('en-US')}-letter piece: ` +
+  `${huge.result.length} tokens in ${huge.ms.toFixed(1)}ms` +
+  (roundTrip ? '' : '  ROUND TRIP MISMATCH')
+);
+
+if (mismatches > 0) {
+  console.error(`\n${mismatches} piece(s) produced different tokens`);
+  process.exit(1);
+}
+console.log('\nAll outputs identical to the reference implementation');
@@ -0,0 +1,232 @@
+/**
+ * CLI Tests
+ * Run with: npm test (or node test/cli-test.js)
+ *
+ * Runs bin/token-total.js as a child process and checks its output and exit
+ * codes: argument parsing, stdin and file input, glob walking, --max-tokens,
+ * special tokens and the decode / inspect modes. Fixture files and the
+ * vocabulary cache (TOKEN_TOTAL_CACHE_DIR) live in temporary directories that
+ * are removed afterwards, so runs do not depend on each other.
+ */
+
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { VERSION } from '../src/index.js';
+
+const CLI = fileURLToPath(new URL('../bin/token-total.js', import.meta.url));
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} options - { input: stdin text, cwd: working directory }
+ * @returns {{code: number, stdout: string, stderr: string}}
+ */
+function run(args, { input = '', cwd = fixtures } = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    input,
+    env: { ...process.env, TOKEN_TOTAL_CACHE_DIR: cacheDir },
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Deterministic pseudo-random letters (mulberry32)
+ */
+function randomLetters(length, seed) {
+  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    out += letters[(((t ^ (t >>> 14)) >>> 0) / 4294967296 * letters.length) | 0];
+  }
+  return out;
+}
+
+// ==================== Fixtures ====================
+
+const fixtures = mkdtempSync(path.join(tmpdir(), 'token-total-cli-'));
+const cacheDir = mkdtempSync(path.join(tmpdir(), 'token-total-cli-cache-'));
+
+const FILES = {
+  'hello.txt': 'hello world',
+  'special.txt': '<|endoftext|>',
+  'ids.txt': '[15339, 1917]',
+  'bad-ids.txt': '15339 hello',
+  'prompts/a.md': 'hello world',
+  'prompts/notes.txt': 'hello',
+  'prompts/sub/b.md': 'hello world, again',
+  'prompts/.drafts/hidden.md': 'skipped',
+  'prompts/node_modules/dep.md': 'skipped',
+};
+
+for (const [file, text] of Object.entries(FILES)) {
+  mkdirSync(path.join(fixtures, path.dirname(file)), { recursive: true });
+  writeFileSync(path.join(fixtures, file), text);
+}
+
+// ==================== Cases ====================
+
+const CASES = [
+  // Argument parsing
+  { name: '--version', args: ['--version'], code: 0, stdout: `${VERSION}\n` },
+  { name: '--help', args: ['--help'], code: 0, stdoutIncludes: 'Usage: token-total <command>' },
+  { name: 'missing command', args: [], code: 2, stderrIncludes: 'Missing command' },
+  { name: 'unknown command', args: ['tally', 'hello.txt'], code: 2, stderrIncludes: 'Unknown command: tally' },
+  { name: 'unknown option', args: ['count', 'hello.txt', '--colour'], code: 2, stderrIncludes: '--colour' },
+  { name: 'unknown format', args: ['count', 'hello.txt', '-f', 'xml'], code: 2, stderrIncludes: 'Unknown format: xml' },
+  { name: 'table format for encode', args: ['encode', 'hello.txt', '-f', 'table'], code: 2, stderrIncludes: 'only supported by count and inspect' },
+  { name: '--model with --encoding', args: ['count', 'hello.txt', '-m', 'gpt-4', '-e', 'cl100k_base'], code: 2, stderrIncludes: 'either --model or --encoding' },
+  { name: 'negative --max-tokens', args: ['count', 'hello.txt', '--max-tokens=-1'], code: 2, stderrIncludes: 'non-negative integer' },
+  { name: '--max-tokens with decode', args: ['decode', '15339', '--max-tokens', '5'], code: 2, stderrIncludes: 'does not apply to decode' },
+  { name: 'unknown model', args: ['count', 'hello.txt', '-m', 'no-such-model'], code: 2, stderrIncludes: 'no-such-model' },
+
+  // Inputs
+  { name: 'count stdin', args: ['count', '-e', 'cl100k_base'], input: 'hello world', code: 0, stdout: '2\n' },
+  { name: 'count file', args: ['count', 'hello.txt', '-m', 'gpt-4'], code: 0, stdout: '2\n' },
+  { name: 'missing file', args: ['count', 'missing.txt'], code: 2, stderrIncludes: 'No such file: missing.txt' },
+  { name: 'directory argument', args: ['count', 'prompts'], code: 2, stderrIncludes: 'is a directory' },
+  { name: 'glob without matches', args: ['count', 'prompts/**/*.json'], code: 2, stderrIncludes: 'No files match' },
+  {
+    name: 'glob walks subdirectories, skipping dot-directories and node_modules',
+    args: ['count', 'prompts/**/*.md', '-e', 'cl100k_base'],
+    code: 0,
+    stdout: '2\tprompts/a.md\n4\tprompts/sub/b.md\n6\ttotal\n',
+  },
+  {
+    name: 'glob with brace alternatives, JSON output',
+    args: ['count', 'prompts/*.{md,txt}', '-e', 'cl100k_base', '-f', 'json'],
+    code: 0,
+    json: {
+      encoding: 'cl100k_base',
+      files: [
+        { file: 'prompts/a.md', tokens: 2, characters: 11 },
+        { file: 'prompts/notes.txt', tokens: 1, characters: 5 },
+      ],
+      totalTokens: 3,
+    },
+  },
+  {
+    name: 'count table',
+    args: ['count', 'hello.txt', 'prompts/notes.txt', '-e', 'cl100k_base', '-f', 'table'],
+    code: 0,
+    stdout: [
+      'File               Tokens  Characters',
+      '-----------------  ------  ----------',
+      'hello.txt               2          11',
+      'prompts/notes.txt       1           5',
+      'Total                   3          16',
+      '',
+    ].join('\n'),
+  },
+
+  // --max-tokens
+  { name: 'under --max-tokens', args: ['count', 'hello.txt', '--max-tokens', '2'], code: 0, stdout: '2\n' },
+  {
+    name: 'over --max-tokens',
+    args: ['count', 'prompts/**/*.md', '-e', 'cl100k_base', '--max-tokens', '3'],
+    code: 1,
+    stderrIncludes: 'prompts/sub/b.md has 4 tokens (max 3)',
+  },
+
+  // Special tokens
+  { name: 'special token text is plain text', args: ['encode', 'special.txt', '-e', 'cl100k_base'], code: 0, stdout: '27 91 8862 728 428 91 29\n' },
+  { name: '--allow-special', args: ['encode', 'special.txt', '-e', 'cl100k_base', '--allow-special'], code: 0, stdout: '100257\n' },
+
+  // Modes
+  { name: 'encode stdin', args: ['encode', '-e', 'cl100k_base'], input: 'hello world', code: 0, stdout: '15339 1917\n' },
+  { name: 'decode arguments', args: ['decode', '15339', '1917', '-e', 'cl100k_base'], code: 0, stdout: 'hello world' },
+  { name: 'decode JSON array file', args: ['decode', 'ids.txt', '-e', 'cl100k_base'], code: 0, stdout: 'hello world' },
+  { name: 'decode stdin', args: ['decode', '-e', 'cl100k_base'], input: '15339,1917', code: 0, stdout: 'hello world' },
+  { name: 'decode invalid id', args: ['decode', 'bad-ids.txt'], code: 2, stderrIncludes: 'bad-ids.txt: "hello" is not a token id' },
+  {
+    name: 'inspect',
+    args: ['inspect', 'hello.txt', '-e', 'cl100k_base'],
+    code: 0,
+    stdout: '15339\t0-5\t"hello"\n1917\t5-11\t" world"\n',
+  },
+  {
+    name: 'inspect: partial characters as hex bytes, empty spans after the first',
+    args: ['inspect', '-e', 'cl100k_base'],
+    input: '🦊',
+    code: 0,
+    stdout: '9468\t0-2\t<f0 9f>\n99\t2-2\t<a6>\n232\t2-2\t<8a>\n',
+  },
+];
+
+// ==================== Run ====================
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Record one test: passes when expected and actual serialize to the same JSON
+ */
+function report(name, expected, actual) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name}`);
+    console.log(`    expected: ${JSON.stringify(expected)}`);
+    console.log(`    actual:   ${JSON.stringify(actual)}`);
+    failed++;
+  }
+}
+
+try {
+  console.log('\ntoken-total CLI tests\n');
+
+  for (const test of CASES) {
+    const { code, stdout, stderr } = run(test.args, { input: test.input });
+    const expected = { code: test.code };
+    const actual = { code };
+
+    if ('stdout' in test) {
+      expected.stdout = test.stdout;
+      actual.stdout = stdout;
+    }
+    if ('json' in test) {
+      expected.json = test.json;
+      try {
+        actual.json = JSON.parse(stdout);
+      } catch (e) {
+        actual.json = stdout;
+      }
+    }
+    if (test.stdoutIncludes) {
+      expected.stdoutIncludes = true;
+      actual.stdoutIncludes = stdout.includes(test.stdoutIncludes);
+    }
+    if (test.stderrIncludes) {
+      expected.stderrIncludes = test.stderrIncludes;
+      actual.stderrIncludes = stderr.includes(test.stderrIncludes) ? test.stderrIncludes : stderr.trim();
+    }
+
+    report(test.name, expected, actual);
+  }
+
+  // One huge piece on stdin: encode must list as many ids as count reports
+  const huge = randomLetters(1500000, 4);
+  const counted = run(['count', '-e', 'cl100k_base'], { input: huge });
+  const encoded = run(['encode', '-e', 'cl100k_base'], { input: huge });
+  report('encode: 1.5 million letter piece on stdin', { code: 0, ids: Number(counted.stdout) }, {
+    code: encoded.code,
+    ids: encoded.code === 0 ? encoded.stdout.trim().split(' ').length : encoded.stderr.trim(),
+  });
+} finally {
+  rmSync(fixtures, { recursive: true, force: true });
+  rmSync(cacheDir, { recursive: true, force: true });
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,149 @@
+/**
+ * Node.js Tests
+ * Run with: npm test (or node test/node-test.js)
+ *
+ * Covers the parts of the library that only run under Node.js or on engines
+ * without regex modifiers: the `(?i:...)` pattern fallback and the on-disk
+ * vocabulary cache. Cache entries are written to a temporary directory that
+ * is removed afterwards.
+ */
+
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { compilePattern, expandCaseInsensitiveGroups } from '../src/core/encoding.js';
+import { FileSystemCache } from '../src/loaders/node-backend.js';
+import { CACHE_SCHEMA_VERSION, cacheKey } from '../src/loaders/cache-schema.js';
+import { setLogger } from '../src/diagnostics/logger.js';
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Record one test: passes when expected and actual serialize to the same JSON
+ */
+function report(name, expected, actual) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name}`);
+    console.log(`    expected: ${JSON.stringify(expected)}`);
+    console.log(`    actual:   ${JSON.stringify(actual)}`);
+    failed++;
+  }
+}
+
+/**
+ * Which of the inputs a pattern matches in full
+ */
+function fullMatches(source, inputs) {
+  const regex = new RegExp(`^(?:${source})$`, 'u');
+  return inputs.filter((input) => regex.test(input));
+}
+
+console.log('\ntoken-total Node.js tests\n');
+
+// ==================== Case-insensitive group fallback ====================
+
+const CONTRACTIONS = "'(?i:[sdmt]|ll|ve|re)";
+const CONTRACTION_INPUTS = ["'s", "'S", "'ll", "'LL", "'lL", "'Ve", "'x", "'l"];
+
+report('fallback: letters and classes', "'(?:[sS\u017FdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])", expandCaseInsensitiveGroups(CONTRACTIONS));
+report('fallback: contractions match both cases', ["'s", "'S", "'ll", "'LL", "'lL", "'Ve"],
+  fullMatches(expandCaseInsensitiveGroups(CONTRACTIONS), CONTRACTION_INPUTS));
+
+report('fallback: ranges keep their bounds', '(?:[a-cA-C][xX])', expandCaseInsensitiveGroups('(?i:[a-c]x)'));
+report('fallback: ranges match both cases and nothing in between',
+  ['ax', 'Bx', 'cX', 'CX'],
+  fullMatches(expandCaseInsensitiveGroups('(?i:[a-c]x)'), ['ax', 'Bx', 'cX', 'CX', '_x', '^x', 'dx', 'Dx']));
+report('fallback: ranges include folded characters', '(?:[r-tR-T\u017F])', expandCaseInsensitiveGroups('(?i:[r-t])'));
+report('fallback: hex digits', ['0f', 'A9', 'ff'],
+  fullMatches(expandCaseInsensitiveGroups('(?i:[0-9a-f]+)'), ['0f', 'A9', 'ff', 'g0', ':']));
+report('fallback: dashes at the ends of a class are literal', '(?:[-aA-][zZ])', expandCaseInsensitiveGroups('(?i:[-a-]z)'));
+report('fallback: escaped range end is copied', '(?:[a-\\x63])', expandCaseInsensitiveGroups('(?i:[a-\\x63])'));
+report('fallback: escaped parentheses outside groups', '\\((?:[aA])\\)', expandCaseInsensitiveGroups('\\((?i:a)\\)'));
+report('compilePattern: case-insensitive range', ['Bx', 'bX'],
+  fullMatches(compilePattern('(?i:[a-c]x)').source, ['Bx', 'bX', '_x']));
+
+// ==================== Filesystem cache ====================
+
+const cacheDir = mkdtempSync(path.join(tmpdir(), 'token-total-cache-test-'));
+const previousCacheDir = process.env.TOKEN_TOTAL_CACHE_DIR;
+const warnings = [];
+setLogger({ warn: (message) => warnings.push(message) }, { level: 'warn' });
+
+/**
+ * Rewrite the one entry file in the cache directory
+ * @param {function(Object, Buffer): [Object, Buffer]} edit - Gets and returns header and payload
+ */
+function rewriteEntry(edit) {
+  const [file] = readdirSync(cacheDir).filter((name) => name.endsWith('.cache'));
+  const filePath = path.join(cacheDir, file);
+  const data = readFileSync(filePath);
+  const headerLength = data.readUInt32LE(0);
+  const [header, payload] = edit(
+    JSON.parse(data.toString('utf8', 4, 4 + headerLength)),
+    Buffer.from(data.subarray(4 + headerLength))
+  );
+  const headerBuffer = Buffer.from(JSON.stringify(header), 'utf8');
+  const lengthBuffer = Buffer.alloc(4);
+  lengthBuffer.writeUInt32LE(headerBuffer.length, 0);
+  writeFileSync(filePath, Buffer.concat([lengthBuffer, headerBuffer, payload]));
+}
+
+try {
+  process.env.TOKEN_TOTAL_CACHE_DIR = cacheDir;
+  const cache = new FileSystemCache();
+  const url = 'https://example.com/encodings/test.tiktoken';
+  const key = cacheKey(url, 'aaaa');
+  const meta = { url, hash: 'aaaa', encoding: 'test' };
+
+  report('cache: directory from TOKEN_TOTAL_CACHE_DIR', cacheDir, await cache.getDirectory());
+  report('cache: miss before set', null, await cache.get(key));
+
+  await cache.set(key, new Uint8Array([1, 2, 3, 250]), meta);
+  const hit = await cache.get(key);
+  report('cache: binary hit', { isArrayBuffer: true, bytes: [1, 2, 3, 250] },
+    { isArrayBuffer: hit instanceof ArrayBuffer, bytes: Array.from(new Uint8Array(hit)) });
+  report('cache: no temporary files left behind', [],
+    readdirSync(cacheDir).filter((name) => name.endsWith('.tmp')));
+  report('cache: miss on a different hash', null, await cache.get(cacheKey(url, 'bbbb')));
+  report('cache: list', [{ key, url, hash: 'aaaa', encoding: 'test', size: 4, schema: CACHE_SCHEMA_VERSION }],
+    (await cache.list()).map(({ key, url, hash, encoding, size, schema }) => ({ key, url, hash, encoding, size, schema })));
+
+  await cache.set(key, { ranks: [['YQ==', 0]] }, meta);
+  report('cache: JSON hit replaces the entry', { ranks: [['YQ==', 0]] }, await cache.get(key));
+
+  rewriteEntry((header, payload) => {
+    payload[0] ^= 0xFF;
+    return [header, payload];
+  });
+  warnings.length = 0;
+  report('cache: corrupted payload is ignored with a warning', { data: null, warned: true },
+    { data: await cache.get(key), warned: warnings.some((message) => message.includes('failed verification')) });
+
+  await cache.set(key, { ranks: [] }, meta);
+  rewriteEntry((header, payload) => [{ ...header, schema: CACHE_SCHEMA_VERSION - 1 }, payload]);
+  report('cache: entry from another schema version is a miss', null, await cache.get(key));
+  report('cache: list drops entries from another schema version', { entries: [], files: [] },
+    { entries: await cache.list(), files: readdirSync(cacheDir) });
+
+  process.env.TOKEN_TOTAL_CACHE_DIR = '';
+  await cache.set(key, { ranks: [] }, meta);
+  report('cache: empty TOKEN_TOTAL_CACHE_DIR disables the cache', { dir: null, data: null, files: [] },
+    { dir: await cache.getDirectory(), data: await cache.get(key), files: readdirSync(cacheDir) });
+} finally {
+  if (previousCacheDir === undefined) {
+    delete process.env.TOKEN_TOTAL_CACHE_DIR;
+  } else {
+    process.env.TOKEN_TOTAL_CACHE_DIR = previousCacheDir;
+  }
+  setLogger(null);
+  rmSync(cacheDir, { recursive: true, force: true });
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exit(1);
+}